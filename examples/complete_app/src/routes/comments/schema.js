@@ -1,10 +1,12 @@
-const { createSchema, validators, validatePartial } = require('lieko-express');
+const { createSchema, validators } = require('lieko-express');
+const db = require('../../helpers/db');
 
 const createCommentSchema = createSchema({
   postId: [
     validators.required(),
     validators.number(),
-    validators.min(1)
+    validators.min(1),
+    validators.customAsync(async (postId) => db.posts.some(p => p.id === postId), 'Post not found')
   ],
   text: [
     validators.required(),
@@ -14,7 +16,7 @@ const createCommentSchema = createSchema({
   ]
 });
 
-const updateCommentSchema = validatePartial(createCommentSchema);
+const updateCommentSchema = createCommentSchema.partial();
 
 module.exports = {
   createCommentSchema,
@@ -6,6 +6,14 @@ const normalizeString = (value) => {
     return '';
 };
 
+const loadPost = (req, res, next, id) => {
+    const post = db.posts.find(p => p.id === +id);
+    if (!post) return res.error({ code: 'NOT_FOUND', message: 'Post not found' });
+
+    req.post = post;
+    next();
+};
+
 const listPosts = (req, res) => {
     let posts = [...db.posts];
 
@@ -56,12 +64,8 @@ const listPosts = (req, res) => {
 };
 
 const getPost = (req, res) => {
-    const postId = +req.params.id;
-    const post = db.posts.find(p => p.id === postId);
-    if (!post) return res.error({ code: 'NOT_FOUND', message: 'Post not found' });
-
-    const comments = db.comments.filter(c => c.postId === postId);
-    res.ok({ ...post, comments });
+    const comments = db.comments.filter(c => c.postId === req.post.id);
+    res.ok({ ...req.post, comments });
 };
 
 const createPost = (req, res) => {
@@ -83,11 +87,7 @@ const createPost = (req, res) => {
 };
 
 const publishPost = (req, res) => {
-    const postId = +req.params.id;
-    const post = db.posts.find(p => p.id === postId);
-
-    if (!post) return res.error({ code: 'NOT_FOUND', message: 'Post not found' });
-
+    const post = req.post;
     post.published = true;
     db.savePosts(db.posts);
 
@@ -95,10 +95,7 @@ const publishPost = (req, res) => {
 };
 
 const updatePost = (req, res) => {
-    const postId = +req.params.id;
-    const post = db.posts.find(p => p.id === postId);
-    if (!post) return res.error({ code: 'NOT_FOUND', message: 'Post not found' });
-
+    const post = req.post;
     const { title, content, published } = req.body;
 
     if (title !== undefined) post.title = title;
@@ -123,6 +120,7 @@ const deletePost = (req, res) => {
 };
 
 module.exports = {
+    loadPost,
     listPosts,
     getPost,
     createPost,
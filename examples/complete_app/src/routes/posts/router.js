@@ -2,6 +2,7 @@ const { Router, validate } = require('lieko-express');
 const { createPostSchema, updatePostSchema } = require('./schema');
 
 const {
+  loadPost,
   listPosts,
   getPost,
   createPost,
@@ -11,6 +12,9 @@ const {
 
 const router = Router();
 
+// req.post is loaded once for every route with an :id
+router.param('id', loadPost);
+
 router.get('/', listPosts);
 router.get('/:id', getPost);
 
@@ -1,4 +1,4 @@
-const { createSchema, validators, validatePartial } = require('lieko-express');
+const { createSchema, validators } = require('lieko-express');
 
 const createPostSchema = createSchema({
   title: [
@@ -18,7 +18,7 @@ const createPostSchema = createSchema({
   ]
 });
 
-const updatePostSchema = validatePartial(createPostSchema);
+const updatePostSchema = createPostSchema.partial();
 
 module.exports = {
   createPostSchema,
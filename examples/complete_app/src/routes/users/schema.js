@@ -1,4 +1,4 @@
-const { createSchema, validators, validatePartial } = require('lieko-express');
+const { createSchema, validators } = require('lieko-express');
 
 const createUserSchema = createSchema({
   username: [
@@ -22,7 +22,7 @@ const createUserSchema = createSchema({
   ]
 });
 
-const updateUserSchema = validatePartial(createUserSchema);
+const updateUserSchema = createUserSchema.partial();
 
 module.exports = {
   createUserSchema,
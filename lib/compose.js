@@ -0,0 +1,85 @@
+// The promise returned by next(): it records whether the middleware awaited it
+class Downstream extends Promise {
+    static get [Symbol.species]() {
+        return Promise;
+    }
+
+    then(onFulfilled, onRejected) {
+        this.observed = true;
+        return super.then(onFulfilled, onRejected);
+    }
+}
+
+// then() without marking the promise as awaited
+const follow = (promise, onFulfilled, onRejected) => Promise.prototype.then.call(promise, onFulfilled, onRejected);
+
+/**
+ * Runs one layer. It settles when the middleware is done with the rest of the chain:
+ * - async middlewares: when their promise settles, or when the chain does if next() was not awaited
+ * - callback middlewares: when the chain settles, or when the response ends without next()
+ */
+function runLayer(layer, req, res, proceed) {
+    return new Promise((resolve, reject) => {
+        let downstream = null;
+        let returnsPromise = false;
+
+        const onClose = () => {
+            if (!downstream) resolve();
+        };
+
+        const next = (err) => {
+            if (downstream) return downstream;
+
+            res.removeListener('close', onClose);
+            downstream = new Downstream((done, fail) => proceed(err).then(done, fail));
+            follow(downstream,
+                () => { if (!returnsPromise) resolve(); },
+                (error) => { if (!returnsPromise) reject(error); }
+            );
+            return downstream;
+        };
+
+        let result;
+        try {
+            result = layer(req, res, next);
+        } catch (error) {
+            return reject(error);
+        }
+
+        if (!result || typeof result.then !== 'function') {
+            if (downstream) return;
+            if (res.writableEnded) return resolve();
+            res.once('close', onClose);
+            return;
+        }
+
+        returnsPromise = true;
+        result.then(() => {
+            // next() called but not awaited: the layer lasts as long as the chain
+            if (downstream && !downstream.observed) return follow(downstream, resolve, reject);
+            // resolved without next() nor a response: the chain goes on, as it always did
+            if (!downstream && !res.headersSent) return follow(next(), resolve, reject);
+            resolve();
+        }, reject);
+    });
+}
+
+/**
+ * Chains (req, res, next) layers: next() returns a promise of the rest of the chain,
+ * so code after `await next()` runs once the downstream middlewares and the handler are done.
+ * next(err) hands the error to `onError` and stops the chain.
+ */
+function compose(layers, onError) {
+    return (req, res) => {
+        const dispatch = (index) => {
+            const layer = layers[index];
+            if (!layer || res.headersSent) return Promise.resolve();
+
+            return runLayer(layer, req, res, (err) => err ? Promise.resolve(onError(err, req, res)) : dispatch(index + 1));
+        };
+
+        return dispatch(0);
+    };
+}
+
+module.exports = compose;
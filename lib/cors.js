@@ -1,100 +1,165 @@
-module.exports = function cors(userOptions = {}) {
-    const defaultOptions = {
-        enabled: true,
-        origin: "*",
-        strictOrigin: false,
-        allowPrivateNetwork: false,
-        methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-        headers: ["Content-Type", "Authorization"],
-        credentials: false,
-        maxAge: 86400,
-        exposedHeaders: [],
-        debug: false
-    };
+const defaultOptions = {
+    enabled: true,
+    origin: "*",
+    strictOrigin: false,
+    allowPrivateNetwork: false,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    headers: ["Content-Type", "Authorization"],
+    credentials: false,
+    maxAge: 86400,
+    exposedHeaders: [],
+    debug: false
+};
 
-    const opts = { ...defaultOptions, ...userOptions, enabled: true };
+const _matchOrigin = (origin, allowedOrigin) => {
+    if (!origin || !allowedOrigin) return false;
+    if (Array.isArray(allowedOrigin)) {
+        return allowedOrigin.some(o => _matchOrigin(origin, o));
+    }
+    if (allowedOrigin instanceof RegExp) return allowedOrigin.test(origin);
+    if (allowedOrigin === "*") return true;
+    if (allowedOrigin.includes("*")) {
+        const regex = new RegExp("^" + allowedOrigin
+            .replace(/\./g, "\\.")
+            .replace(/\*/g, ".*") + "$");
+        return regex.test(origin);
+    }
+    return origin === allowedOrigin;
+};
 
-    const _matchOrigin = (origin, allowedOrigin) => {
-        if (!origin || !allowedOrigin) return false;
-        if (Array.isArray(allowedOrigin)) {
-            return allowedOrigin.some(o => _matchOrigin(origin, o));
-        }
-        if (allowedOrigin === "*") return true;
-        if (allowedOrigin.includes("*")) {
-            const regex = new RegExp("^" + allowedOrigin
-                .replace(/\./g, "\\.")
-                .replace(/\*/g, ".*") + "$");
-            return regex.test(origin);
-        }
-        return origin === allowedOrigin;
-    };
+// origin: (origin, req) => boolean | string | Promise, or (origin, callback) => void
+const _resolveDynamicOrigin = (fn, origin, req) => {
+    if (fn.length >= 2) {
+        return new Promise((resolve, reject) => {
+            fn(origin, (err, allowed) => err ? reject(err) : resolve(allowed));
+        });
+    }
+    return Promise.resolve(fn(origin, req));
+};
 
-    const _logDebug = (req, finalOpts) => {
-        if (!finalOpts.debug) return;
-        console.log("\n[CORS DEBUG]");
-        console.log("Request:", req.method, req.url);
-        console.log("Origin:", req.headers.origin || "none");
-        console.log("Applied CORS Policy:");
-        console.log("  - Access-Control-Allow-Origin:", finalOpts.origin);
-        console.log("  - Methods:", finalOpts.methods.join(", "));
-        console.log("  - Headers:", finalOpts.headers.join(", "));
-        if (finalOpts.credentials) console.log("  - Credentials: true");
-        if (finalOpts.exposedHeaders?.length) console.log("  - Exposed:", finalOpts.exposedHeaders.join(", "));
-        console.log("  - Max-Age:", finalOpts.maxAge);
-        if (req.method === "OPTIONS") console.log("Preflight handled → 204\n");
-    };
+// Returns the value of Access-Control-Allow-Origin, or null when the origin is not allowed
+const _resolveOrigin = async (req, opts) => {
+    const requestOrigin = req.headers.origin || "";
+    let allowed = opts.origin;
 
-    return function corsMiddleware(req, res, next) {
-        if (!opts.enabled) return next();
-
-        const requestOrigin = req.headers.origin || "";
-
-        let finalOrigin = "*";
-
-        if (opts.strictOrigin && requestOrigin) {
-            const allowed = _matchOrigin(requestOrigin, opts.origin);
-            if (!allowed) {
-                res.statusCode = 403;
-                return res.end(JSON.stringify({
-                    success: false,
-                    error: "Origin Forbidden",
-                    message: `Origin "${requestOrigin}" is not allowed`
-                }));
-            }
-        }
-
-        if (opts.origin === "*") {
-            finalOrigin = "*";
-        } else if (Array.isArray(opts.origin)) {
-            const match = opts.origin.find(o => _matchOrigin(requestOrigin, o));
-            finalOrigin = match || opts.origin[0];
-        } else {
-            finalOrigin = _matchOrigin(requestOrigin, opts.origin) ? requestOrigin : opts.origin;
-        }
-
-        _logDebug(req, { ...opts, origin: finalOrigin });
+    if (typeof allowed === "function") {
+        allowed = await _resolveDynamicOrigin(allowed, requestOrigin, req);
+        if (allowed === true) return requestOrigin || null;
+        if (!allowed) return null;
+    }
+
+    if (allowed === "*") return "*";
+    if (_matchOrigin(requestOrigin, allowed)) return requestOrigin;
+    if (opts.strictOrigin) return null;
+
+    // non-strict mode keeps advertising the first configured origin
+    const fallback = [].concat(allowed).find(o => typeof o === "string" && !o.includes("*"));
+    return fallback || null;
+};
+
+const _appendVary = (res, value) => {
+    const current = res.getHeader("Vary");
+    if (!current) return res.setHeader("Vary", value);
+
+    const values = String(current).split(",").map(v => v.trim().toLowerCase());
+    if (!values.includes("*") && !values.includes(value.toLowerCase())) {
+        res.setHeader("Vary", `${current}, ${value}`);
+    }
+};
+
+const _isPreflight = (req) =>
+    req.method === "OPTIONS" && !!req.headers["access-control-request-method"];
+
+const _logDebug = (req, finalOpts) => {
+    if (!finalOpts.debug) return;
+    console.log("\n[CORS DEBUG]");
+    console.log("Request:", req.method, req.url);
+    console.log("Origin:", req.headers.origin || "none");
+    console.log("Applied CORS Policy:");
+    console.log("  - Access-Control-Allow-Origin:", finalOpts.origin || "none");
+    console.log("  - Methods:", finalOpts.methods.join(", "));
+    console.log("  - Headers:", finalOpts.headers.join(", "));
+    if (finalOpts.credentials) console.log("  - Credentials: true");
+    if (finalOpts.exposedHeaders?.length) console.log("  - Exposed:", finalOpts.exposedHeaders.join(", "));
+    console.log("  - Max-Age:", finalOpts.maxAge);
+    if (_isPreflight(req)) console.log("Preflight handled → 204\n");
+};
+
+/**
+ * Applies a CORS policy to the response.
+ * `pathMethods` are the methods registered for the requested path, used to answer preflights.
+ * Resolves to true when the response has been sent (preflight or rejected origin).
+ * Plain OPTIONS requests only get the CORS headers and are left to the router.
+ */
+async function applyCors(req, res, options, pathMethods = []) {
+    const opts = { ...defaultOptions, ...options };
+    if (!opts.enabled) return false;
+
+    const requestOrigin = req.headers.origin || "";
+    const finalOrigin = await _resolveOrigin(req, opts);
+
+    if (opts.strictOrigin && requestOrigin && finalOrigin === null) {
+        res.statusCode = 403;
+        res.setHeader("Content-Type", "application/json; charset=utf-8");
+        res.end(JSON.stringify({
+            success: false,
+            error: "Origin Forbidden",
+            message: `Origin "${requestOrigin}" is not allowed`
+        }));
+        return true;
+    }
+
+    const methods = pathMethods.length
+        ? pathMethods.filter(m => opts.methods.includes(m))
+        : opts.methods;
 
+    _logDebug(req, { ...opts, origin: finalOrigin, methods });
+
+    if (finalOrigin) {
         res.setHeader("Access-Control-Allow-Origin", finalOrigin);
+    }
+    if (finalOrigin !== "*") {
+        _appendVary(res, "Origin");
+    }
+
+    if (opts.credentials) {
+        res.setHeader("Access-Control-Allow-Credentials", "true");
+    }
+
+    if (opts.exposedHeaders?.length) {
+        res.setHeader("Access-Control-Expose-Headers", opts.exposedHeaders.join(", "));
+    }
+
+    if (opts.allowPrivateNetwork && req.headers["access-control-request-private-network"] === "true") {
+        res.setHeader("Access-Control-Allow-Private-Network", "true");
+    }
 
-        if (opts.credentials) {
-            res.setHeader("Access-Control-Allow-Credentials", "true");
-        }
-
-        if (opts.exposedHeaders?.length) {
-            res.setHeader("Access-Control-Expose-Headers", opts.exposedHeaders.join(", "));
-        }
-
-        if (opts.allowPrivateNetwork && req.headers["access-control-request-private-network"] === "true") {
-            res.setHeader("Access-Control-Allow-Private-Network", "true");
-        }
-
-        if (req.method === "OPTIONS") {
-            res.setHeader("Access-Control-Allow-Methods", opts.methods.join(", "));
-            res.setHeader("Access-Control-Allow-Headers", opts.headers.join(", "));
-            res.setHeader("Access-Control-Max-Age", opts.maxAge);
-            res.statusCode = 204;
-            return res.end();
-        }
-        next();
+    if (_isPreflight(req)) {
+        res.setHeader("Access-Control-Allow-Methods", methods.join(", "));
+        res.setHeader("Access-Control-Allow-Headers", opts.headers.join(", "));
+        res.setHeader("Access-Control-Max-Age", opts.maxAge);
+        if (pathMethods.length) res.setHeader("Allow", pathMethods.join(", "));
+        res.statusCode = 204;
+        res.end();
+        return true;
+    }
+
+    return false;
+}
+
+module.exports = function cors(userOptions = {}) {
+    const opts = { ...defaultOptions, ...userOptions, enabled: true };
+
+    return function corsMiddleware(req, res, next) {
+        const pathMethods = req.app?._allowedMethods
+            ? req.app._allowedMethods((req.originalUrl || req.url).split('?')[0])
+            : [];
+
+        applyCors(req, res, opts, pathMethods)
+            .then(handled => { if (!handled) next(); })
+            .catch(next);
     };
 };
+
+module.exports.applyCors = applyCors;
+module.exports.defaultOptions = defaultOptions;
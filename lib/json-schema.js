@@ -0,0 +1,266 @@
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// lib/schema.js requires this module, so it is loaded on first use
+const schemaModule = () => require('./schema');
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const STRING_TYPES = ['string', 'email', 'pattern', 'length', 'minLength', 'maxLength', 'startsWith', 'endsWith', 'trim', 'toLowerCase'];
+
+const addPattern = (target, pattern) => {
+    if (!target.pattern) {
+        target.pattern = pattern;
+        return;
+    }
+    target.allOf = [...(target.allOf || []), { pattern }];
+};
+
+// Translates the rules of one field. Returns { schema, required }
+function rulesToJSONSchema(rules) {
+    const { toRules, Ref } = schemaModule();
+    rules = toRules(rules);
+
+    const types = rules.map(rule => rule.type);
+    const isString = types.some(type => STRING_TYPES.includes(type));
+    const out = {};
+    let required = false;
+
+    for (const rule of rules) {
+        const params = rule.params || [];
+        // a ref() is only known at validation time
+        if (params.some(param => param instanceof Ref)) continue;
+
+        const [arg, second] = params;
+
+        switch (rule.type) {
+            case 'required': required = true; break;
+            case 'requiredTrue':
+            case 'mustBeTrue': required = true; out.const = true; break;
+            case 'mustBeFalse': out.const = false; break;
+            case 'string':
+            case 'trim':
+            case 'toLowerCase': out.type = 'string'; break;
+            case 'number': out.type = 'number'; break;
+            case 'integer':
+            case 'toInt': out.type = 'integer'; break;
+            case 'boolean': out.type = 'boolean'; break;
+            case 'positive': out.exclusiveMinimum = 0; break;
+            case 'negative': out.exclusiveMaximum = 0; break;
+            case 'exclusiveMin': out.exclusiveMinimum = arg; break;
+            case 'exclusiveMax': out.exclusiveMaximum = arg; break;
+            case 'email': out.format = 'email'; break;
+            case 'date':
+            case 'toDate': out.format = 'date-time'; break;
+            case 'min': out[isString ? 'minLength' : 'minimum'] = arg; break;
+            case 'max': out[isString ? 'maxLength' : 'maximum'] = arg; break;
+            case 'length': out.minLength = arg; out.maxLength = arg; break;
+            case 'minLength': out.minLength = arg; break;
+            case 'maxLength': out.maxLength = arg; break;
+            case 'pattern':
+                // JSON Schema patterns have no flags: /abc/i would not mean the same thing
+                if (!arg.flags.replace('u', '')) addPattern(out, arg.source);
+                break;
+            case 'startsWith': addPattern(out, `^${escapeRegex(arg)}`); break;
+            case 'endsWith': addPattern(out, `${escapeRegex(arg)}$`); break;
+            case 'oneOf': out.enum = arg; break;
+            case 'notOneOf': out.not = { enum: arg }; break;
+            case 'equal': out.const = arg; break;
+            case 'default':
+                if (typeof arg !== 'function') out.default = arg;
+                break;
+            case 'object': {
+                const { Schema } = schemaModule();
+                Object.assign(out, toJSONSchema(arg instanceof Schema ? arg : new Schema(arg), { root: false }));
+                break;
+            }
+            case 'array': {
+                out.type = 'array';
+                if (arg) out.items = rulesToJSONSchema(arg).schema;
+                const options = second || {};
+                if (options.min !== undefined) out.minItems = options.min;
+                if (options.max !== undefined) out.maxItems = options.max;
+                if (options.unique) out.uniqueItems = true;
+                break;
+            }
+            case 'union': {
+                const alternatives = params.filter(alt => typeof alt !== 'string');
+                out.anyOf = alternatives.map(alt => rulesToJSONSchema(alt).schema);
+                break;
+            }
+            // custom, customAsync, sameAs, before, after and when have no field-level equivalent
+        }
+    }
+
+    if (types.includes('nullable') && out.type) out.type = [out.type, 'null'];
+
+    return { schema: out, required };
+}
+
+// when(field, value, then, otherwise) → if / then / else on the parent object
+function conditionToJSONSchema(field, rule) {
+    const [otherField, predicate, thenRules, otherwiseRules] = rule.params;
+    if (typeof predicate === 'function' || String(otherField).includes('.')) return null;
+
+    const branch = (rules) => {
+        const { schema, required } = rulesToJSONSchema(rules);
+        const result = { properties: { [field]: schema } };
+        if (required) result.required = [field];
+        return result;
+    };
+
+    const condition = {
+        if: { properties: { [otherField]: { const: predicate } }, required: [otherField] },
+        then: branch(thenRules)
+    };
+    if (otherwiseRules) condition.else = branch(otherwiseRules);
+    return condition;
+}
+
+/**
+ * Translates a Schema into a draft 2020-12 JSON Schema.
+ * Rules without an equivalent (custom, sameAs...) are left out.
+ */
+function toJSONSchema(schema, { root = true } = {}) {
+    const { toRules } = schemaModule();
+
+    const properties = {};
+    const required = [];
+    const conditions = [];
+
+    for (const [field, rules] of Object.entries(schema.rules)) {
+        const result = rulesToJSONSchema(rules);
+        properties[field] = result.schema;
+        if (result.required) required.push(field);
+
+        for (const rule of toRules(rules)) {
+            if (rule.type !== 'when') continue;
+            const condition = conditionToJSONSchema(field, rule);
+            if (condition) conditions.push(condition);
+        }
+    }
+
+    const out = root ? { $schema: DRAFT } : {};
+    out.type = 'object';
+    out.properties = properties;
+    if (required.length) out.required = required;
+    if (schema.options?.strict) out.additionalProperties = false;
+    if (conditions.length) out.allOf = conditions;
+    return out;
+}
+
+const resolveRef = (ref, rootDoc) => {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref "${ref}": only local references are resolved`);
+    }
+
+    const target = ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, key) => node?.[key], rootDoc);
+
+    if (!target) throw new Error(`Cannot resolve $ref "${ref}"`);
+    return target;
+};
+
+// `resolving` holds the $refs being expanded on the current path: meeting one again would never end
+const followRef = (ref, rootDoc, resolving) => {
+    if (resolving.has(ref)) throw new Error(`Recursive $ref "${ref}" is not supported`);
+    return { target: resolveRef(ref, rootDoc), resolving: new Set(resolving).add(ref) };
+};
+
+// Builds the rules of one property
+function jsonSchemaToRules(doc, rootDoc, isRequired, resolving = new Set()) {
+    const { validators: v } = schemaModule();
+
+    if (doc.$ref) {
+        const ref = followRef(doc.$ref, rootDoc, resolving);
+        doc = { ...ref.target, ...doc, $ref: undefined };
+        resolving = ref.resolving;
+    }
+
+    const rules = [];
+
+    let type = doc.type;
+    const nullable = Array.isArray(type) && type.includes('null');
+    if (Array.isArray(type)) {
+        const types = type.filter(t => t !== 'null');
+        type = types.length === 1 ? types[0] : types;
+    }
+
+    if (doc.default !== undefined) rules.push(v.default(doc.default));
+    if (nullable) rules.push(v.nullable());
+    rules.push(isRequired ? v.required() : v.optional());
+
+    if (Array.isArray(type)) {
+        rules.push(v.union(...type.map(t => jsonSchemaToRules({ type: t }, rootDoc, false, resolving))));
+    } else if (type === 'string') {
+        rules.push(v.string());
+    } else if (type === 'number') {
+        rules.push(v.number());
+    } else if (type === 'integer') {
+        rules.push(v.integer());
+    } else if (type === 'boolean') {
+        rules.push(v.boolean());
+    } else if (type === 'object' || (!type && doc.properties)) {
+        rules.push(v.object(fromJSONSchema(doc, rootDoc, resolving)));
+    } else if (type === 'array') {
+        rules.push(v.array(doc.items ? jsonSchemaToRules(doc.items, rootDoc, false, resolving) : undefined, {
+            min: doc.minItems,
+            max: doc.maxItems,
+            unique: doc.uniqueItems === true
+        }));
+    }
+
+    if (doc.format === 'email') rules.push(v.email());
+    if (doc.format === 'date' || doc.format === 'date-time') rules.push(v.date());
+
+    if (doc.minLength !== undefined) rules.push(v.minLength(doc.minLength));
+    if (doc.maxLength !== undefined) rules.push(v.maxLength(doc.maxLength));
+    if (doc.pattern !== undefined) rules.push(v.pattern(new RegExp(doc.pattern, 'u')));
+
+    if (doc.minimum !== undefined) rules.push(v.min(doc.minimum));
+    if (doc.maximum !== undefined) rules.push(v.max(doc.maximum));
+    if (doc.exclusiveMinimum === 0) rules.push(v.positive());
+    else if (doc.exclusiveMinimum !== undefined) rules.push(v.exclusiveMin(doc.exclusiveMinimum));
+    if (doc.exclusiveMaximum === 0) rules.push(v.negative());
+    else if (doc.exclusiveMaximum !== undefined) rules.push(v.exclusiveMax(doc.exclusiveMaximum));
+
+    if (doc.enum) rules.push(v.oneOf(doc.enum));
+    if (doc.const !== undefined) rules.push(v.equal(doc.const));
+    if (doc.not?.enum) rules.push(v.notOneOf(doc.not.enum));
+
+    const alternatives = doc.anyOf || doc.oneOf;
+    if (alternatives) {
+        rules.push(v.union(...alternatives.map(alt => jsonSchemaToRules(alt, rootDoc, false, resolving))));
+    }
+
+    for (const sub of doc.allOf || []) {
+        // only the constraints: presence is decided by the parent's `required`
+        rules.push(...jsonSchemaToRules(sub, rootDoc, false, resolving).filter(rule => rule.type !== 'optional'));
+    }
+
+    return rules;
+}
+
+/**
+ * Builds a Schema from an object JSON Schema document.
+ * Local $ref ("#/$defs/...") are resolved, recursive ones are rejected; additionalProperties: false turns on strict mode.
+ */
+function fromJSONSchema(doc, rootDoc = doc, resolving = new Set()) {
+    const { Schema } = schemaModule();
+
+    if (doc.$ref) ({ target: doc, resolving } = followRef(doc.$ref, rootDoc, resolving));
+    if (doc.type !== undefined && doc.type !== 'object') {
+        throw new Error('fromJSONSchema() expects an object schema');
+    }
+
+    const required = doc.required || [];
+    const rules = {};
+
+    for (const [field, property] of Object.entries(doc.properties || {})) {
+        rules[field] = jsonSchemaToRules(property, rootDoc, required.includes(field), resolving);
+    }
+
+    return new Schema(rules, doc.additionalProperties === false ? { strict: true } : {});
+}
+
+module.exports = { toJSONSchema, fromJSONSchema };
@@ -0,0 +1,185 @@
+// Default validation messages, keyed by error type. "min.string" variants apply to string lengths.
+// Placeholders: {field} (path), {label} (catalog label or field name) and the validator parameters
+const catalogs = {
+    en: {
+        required: 'Field is required',
+        requiredTrue: 'Field must be true',
+        string: 'Field must be a string',
+        number: 'Field must be a number',
+        boolean: 'Field must be a boolean',
+        integer: 'Field must be an integer',
+        positive: 'Field must be positive',
+        negative: 'Field must be negative',
+        exclusiveMin: 'Field must be greater than {min}',
+        exclusiveMax: 'Field must be less than {max}',
+        email: 'Invalid email format',
+        'min.string': 'Field must be at least {min} characters',
+        'min.number': 'Field must be at least {min}',
+        'max.string': 'Field must be at most {max} characters',
+        'max.number': 'Field must be at most {max}',
+        length: 'Field must be exactly {length} characters',
+        minLength: 'Field must be at least {min} characters',
+        maxLength: 'Field must be at most {max} characters',
+        pattern: 'Invalid format',
+        oneOf: 'Field must be one of: {values}',
+        notOneOf: 'Field cannot be one of: {values}',
+        custom: 'Validation failed',
+        customAsync: 'Validation failed',
+        equal: 'Field must be equal to {value}',
+        mustBeTrue: 'This field must be accepted',
+        mustBeFalse: 'This field must be declined',
+        date: 'Invalid date',
+        before: 'Date must be before {date}',
+        after: 'Date must be after {date}',
+        startsWith: 'Field must start with "{prefix}"',
+        endsWith: 'Field must end with "{suffix}"',
+        sameAs: 'Field must match {other}',
+        object: 'Field must be an object',
+        array: 'Field must be an array',
+        arrayMin: 'Field must contain at least {min} items',
+        arrayMax: 'Field must contain at most {max} items',
+        unique: 'Field must not contain duplicate items',
+        union: 'Field does not match any allowed type',
+        toDate: 'Invalid date',
+        toInt: 'Field must be an integer',
+        unknown: 'Unknown field'
+    },
+
+    fr: {
+        required: 'Ce champ est obligatoire',
+        requiredTrue: 'Ce champ doit être vrai',
+        string: 'Ce champ doit être une chaîne de caractères',
+        number: 'Ce champ doit être un nombre',
+        boolean: 'Ce champ doit être un booléen',
+        integer: 'Ce champ doit être un entier',
+        positive: 'Ce champ doit être positif',
+        negative: 'Ce champ doit être négatif',
+        exclusiveMin: 'Ce champ doit être strictement supérieur à {min}',
+        exclusiveMax: 'Ce champ doit être strictement inférieur à {max}',
+        email: 'Adresse e-mail invalide',
+        'min.string': 'Ce champ doit contenir au moins {min} caractères',
+        'min.number': 'Ce champ doit être supérieur ou égal à {min}',
+        'max.string': 'Ce champ doit contenir au plus {max} caractères',
+        'max.number': 'Ce champ doit être inférieur ou égal à {max}',
+        length: 'Ce champ doit contenir exactement {length} caractères',
+        minLength: 'Ce champ doit contenir au moins {min} caractères',
+        maxLength: 'Ce champ doit contenir au plus {max} caractères',
+        pattern: 'Format invalide',
+        oneOf: 'Ce champ doit valoir : {values}',
+        notOneOf: 'Ce champ ne peut pas valoir : {values}',
+        custom: 'Validation échouée',
+        customAsync: 'Validation échouée',
+        equal: 'Ce champ doit être égal à {value}',
+        mustBeTrue: 'Ce champ doit être accepté',
+        mustBeFalse: 'Ce champ doit être refusé',
+        date: 'Date invalide',
+        before: 'La date doit être antérieure au {date}',
+        after: 'La date doit être postérieure au {date}',
+        startsWith: 'Ce champ doit commencer par « {prefix} »',
+        endsWith: 'Ce champ doit se terminer par « {suffix} »',
+        sameAs: 'Ce champ doit être identique à {other}',
+        object: 'Ce champ doit être un objet',
+        array: 'Ce champ doit être une liste',
+        arrayMin: 'Ce champ doit contenir au moins {min} éléments',
+        arrayMax: 'Ce champ doit contenir au plus {max} éléments',
+        unique: 'Ce champ ne doit pas contenir de doublons',
+        union: 'Ce champ ne correspond à aucun type autorisé',
+        toDate: 'Date invalide',
+        toInt: 'Ce champ doit être un entier',
+        unknown: 'Champ inconnu'
+    },
+
+    de: {
+        required: 'Dieses Feld ist erforderlich',
+        requiredTrue: 'Dieses Feld muss wahr sein',
+        string: 'Dieses Feld muss eine Zeichenkette sein',
+        number: 'Dieses Feld muss eine Zahl sein',
+        boolean: 'Dieses Feld muss ein Wahrheitswert sein',
+        integer: 'Dieses Feld muss eine ganze Zahl sein',
+        positive: 'Dieses Feld muss positiv sein',
+        negative: 'Dieses Feld muss negativ sein',
+        exclusiveMin: 'Dieses Feld muss größer als {min} sein',
+        exclusiveMax: 'Dieses Feld muss kleiner als {max} sein',
+        email: 'Ungültiges E-Mail-Format',
+        'min.string': 'Dieses Feld muss mindestens {min} Zeichen lang sein',
+        'min.number': 'Dieses Feld muss mindestens {min} sein',
+        'max.string': 'Dieses Feld darf höchstens {max} Zeichen lang sein',
+        'max.number': 'Dieses Feld darf höchstens {max} sein',
+        length: 'Dieses Feld muss genau {length} Zeichen lang sein',
+        minLength: 'Dieses Feld muss mindestens {min} Zeichen lang sein',
+        maxLength: 'Dieses Feld darf höchstens {max} Zeichen lang sein',
+        pattern: 'Ungültiges Format',
+        oneOf: 'Dieses Feld muss einer der folgenden Werte sein: {values}',
+        notOneOf: 'Dieses Feld darf keiner der folgenden Werte sein: {values}',
+        custom: 'Validierung fehlgeschlagen',
+        customAsync: 'Validierung fehlgeschlagen',
+        equal: 'Dieses Feld muss gleich {value} sein',
+        mustBeTrue: 'Dieses Feld muss akzeptiert werden',
+        mustBeFalse: 'Dieses Feld muss abgelehnt werden',
+        date: 'Ungültiges Datum',
+        before: 'Das Datum muss vor dem {date} liegen',
+        after: 'Das Datum muss nach dem {date} liegen',
+        startsWith: 'Dieses Feld muss mit „{prefix}“ beginnen',
+        endsWith: 'Dieses Feld muss mit „{suffix}“ enden',
+        sameAs: 'Dieses Feld muss mit {other} übereinstimmen',
+        object: 'Dieses Feld muss ein Objekt sein',
+        array: 'Dieses Feld muss eine Liste sein',
+        arrayMin: 'Dieses Feld muss mindestens {min} Einträge enthalten',
+        arrayMax: 'Dieses Feld darf höchstens {max} Einträge enthalten',
+        unique: 'Dieses Feld darf keine doppelten Einträge enthalten',
+        union: 'Dieses Feld entspricht keinem erlaubten Typ',
+        toDate: 'Ungültiges Datum',
+        toInt: 'Dieses Feld muss eine ganze Zahl sein',
+        unknown: 'Unbekanntes Feld'
+    }
+};
+
+// Set on errors that use a default message, so they can be translated later
+const MESSAGE = Symbol('lieko.message');
+
+const interpolate = (template, params) =>
+    template.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+
+// "fr-CA" falls back to "fr"
+const catalogFor = (locale) => {
+    if (!locale) return null;
+    return catalogs[locale] || catalogs[String(locale).split('-')[0]] || null;
+};
+
+const lookup = (catalog, key) => catalog?.[key] ?? catalog?.[key.split('.')[0]];
+
+function format(locale, key, params = {}) {
+    const template = lookup(catalogFor(locale), key) ?? lookup(catalogs.en, key) ?? key;
+    return interpolate(template, params);
+}
+
+// Registers or overrides messages (and field labels) for a locale
+function addMessages(locale, messages = {}) {
+    const current = catalogs[locale] || {};
+    catalogs[locale] = {
+        ...current,
+        ...messages,
+        labels: { ...current.labels, ...messages.labels }
+    };
+}
+
+function locales() {
+    return Object.keys(catalogs);
+}
+
+// Returns a copy of the error in `locale`; custom messages are kept as they are
+function translate(error, locale) {
+    const info = error[MESSAGE];
+    if (!info || !catalogFor(locale)) return error;
+
+    const labels = catalogFor(locale).labels || {};
+    const name = String(error.field).split('.').pop();
+    const label = labels[error.field] ?? labels[name] ?? error.field;
+
+    return {
+        ...error,
+        message: format(locale, info.key, { ...info.params, field: error.field, label })
+    };
+}
+
+module.exports = { MESSAGE, format, addMessages, locales, translate };
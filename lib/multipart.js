@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+
+const limitError = (message, code) => {
+    const error = new Error(message);
+    error.status = 413;
+    error.code = code;
+    error.expose = true;
+    return error;
+};
+
+const malformedError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'INVALID_REQUEST';
+    error.expose = true;
+    return error;
+};
+
+const parseHeaders = (raw) => {
+    const headers = {};
+    for (const line of raw.split('\r\n')) {
+        const index = line.indexOf(':');
+        if (index === -1) continue;
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+
+    const disposition = headers['content-disposition'] || '';
+    const name = disposition.match(/\bname="([^"]*)"/i);
+    const filename = disposition.match(/\bfilename="([^"]*)"/i);
+
+    return {
+        name: name ? name[1] : null,
+        filename: filename ? path.basename(filename[1]) : null,
+        contentType: headers['content-type'] || 'application/octet-stream'
+    };
+};
+
+const addEntry = (target, key, value) => {
+    if (!(key in target)) {
+        target[key] = value;
+    } else if (Array.isArray(target[key])) {
+        target[key].push(value);
+    } else {
+        target[key] = [target[key], value];
+    }
+};
+
+function diskStorage(uploadDir = os.tmpdir()) {
+    return (file, stream) => new Promise((resolve, reject) => {
+        const filePath = path.join(uploadDir, `lieko-${crypto.randomBytes(16).toString('hex')}`);
+        const out = fs.createWriteStream(filePath);
+
+        const fail = (err) => {
+            out.destroy();
+            fs.unlink(filePath, () => { });
+            reject(err);
+        };
+
+        stream.on('error', fail);
+        out.on('error', fail);
+        out.on('finish', () => resolve({ path: filePath }));
+
+        stream.pipe(out);
+    });
+}
+
+function parseMultipart(req, options = {}) {
+    return new Promise((resolve, reject) => {
+        const contentType = req.headers['content-type'] || '';
+        const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+        if (!boundaryMatch) return reject(malformedError('Missing multipart boundary'));
+
+        const boundary = boundaryMatch[1] || boundaryMatch[2];
+        const delimiter = Buffer.from(`\r\n--${boundary}`);
+
+        const limit = options.limit ?? Infinity;
+        const fileSize = options.fileSize ?? limit;
+        const maxFiles = options.files ?? Infinity;
+        const maxFields = options.fields ?? Infinity;
+        const storage = options.storage || diskStorage(options.uploadDir);
+
+        const fields = {};
+        const files = {};
+        const pending = [];
+        const uploads = [];
+        const streams = [];
+
+        // the body may start with the delimiter directly, without the leading CRLF
+        let buffer = CRLF;
+        let state = 'preamble';
+        let size = 0;
+        let fileCount = 0;
+        let fieldCount = 0;
+        let part = null;
+        let failed = false;
+
+        const fail = (err) => {
+            if (failed) return;
+            failed = true;
+
+            req.removeListener('data', onData);
+            req.removeListener('end', onEnd);
+            req.resume();
+
+            streams.forEach(s => s.destroy(err));
+
+            // storages clean up after themselves once their stream errors
+            Promise.allSettled(pending).then(results => {
+                results.forEach(r => {
+                    if (r.status === 'fulfilled' && r.value?.path) fs.unlink(r.value.path, () => { });
+                });
+                reject(err);
+            });
+        };
+
+        const startPart = (raw) => {
+            const headers = parseHeaders(raw);
+
+            if (headers.filename === null) {
+                if (++fieldCount > maxFields) {
+                    throw limitError(`Too many fields. Limit: ${maxFields}`, 'LIMIT_FIELD_COUNT');
+                }
+                return { ...headers, chunks: [] };
+            }
+
+            // an empty file input is sent with filename=""
+            if (headers.filename === '') return { ...headers, skip: true };
+
+            if (++fileCount > maxFiles) {
+                throw limitError(`Too many files. Limit: ${maxFiles}`, 'LIMIT_FILE_COUNT');
+            }
+
+            const stream = new PassThrough();
+            // a storage that never reads its stream must not turn fail() into an uncaught 'error'
+            stream.on('error', () => { });
+            streams.push(stream);
+
+            const file = {
+                fieldname: headers.name,
+                filename: headers.filename,
+                contentType: headers.contentType,
+                size: 0
+            };
+
+            const stored = Promise.resolve(storage(file, stream));
+            // a storage may give up before reading everything: stop the parse right away
+            stored.catch(fail);
+            // once settled, whatever the storage left unread is dropped so the request never stays paused
+            stored.finally(() => stream.on('data', () => { })).catch(() => { });
+            pending.push(stored);
+            uploads.push(file);
+
+            return { ...headers, file, stream };
+        };
+
+        const writePart = (data) => {
+            if (!data.length || part.skip) return;
+
+            if (part.chunks) {
+                part.chunks.push(data);
+                return;
+            }
+
+            part.file.size += data.length;
+            if (part.file.size > fileSize) {
+                throw limitError(`File "${part.file.filename}" too large. Limit: ${options.fileSizeLabel || fileSize}`, 'LIMIT_FILE_SIZE');
+            }
+
+            if (!part.stream.write(data)) {
+                req.pause();
+                part.stream.once('drain', () => req.resume());
+            }
+        };
+
+        const endPart = () => {
+            if (part.chunks) {
+                if (part.name) addEntry(fields, part.name, Buffer.concat(part.chunks).toString('utf8'));
+            } else if (part.stream) {
+                part.stream.end();
+            }
+            part = null;
+        };
+
+        const consume = () => {
+            while (true) {
+                if (state === 'preamble') {
+                    const index = buffer.indexOf(delimiter);
+                    if (index === -1) {
+                        buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1));
+                        return;
+                    }
+                    buffer = buffer.subarray(index + delimiter.length);
+                    state = 'delimiter';
+                }
+
+                if (state === 'delimiter') {
+                    if (buffer.length < 2) return;
+
+                    if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+                        state = 'end';
+                        buffer = Buffer.alloc(0);
+                        return;
+                    }
+
+                    const lineEnd = buffer.indexOf(CRLF);
+                    if (lineEnd === -1) return;
+                    if (buffer.subarray(0, lineEnd).toString().trim() !== '') {
+                        throw malformedError('Malformed multipart body');
+                    }
+
+                    buffer = buffer.subarray(lineEnd + 2);
+                    state = 'headers';
+                }
+
+                if (state === 'headers') {
+                    if (buffer.length < 2) return;
+
+                    // a part without any header starts right with the blank line
+                    const empty = buffer[0] === 0x0d && buffer[1] === 0x0a;
+                    const index = empty ? 0 : buffer.indexOf(HEADER_END);
+                    if (index === -1) {
+                        if (buffer.length > MAX_HEADER_SIZE) throw malformedError('Multipart headers too large');
+                        return;
+                    }
+                    part = startPart(buffer.subarray(0, index).toString('utf8'));
+                    buffer = buffer.subarray(index + (empty ? CRLF.length : HEADER_END.length));
+                    state = 'body';
+                }
+
+                if (state === 'body') {
+                    const index = buffer.indexOf(delimiter);
+                    if (index === -1) {
+                        // keep enough bytes to recognize a delimiter split across chunks
+                        const safe = buffer.length - delimiter.length + 1;
+                        if (safe > 0) {
+                            writePart(buffer.subarray(0, safe));
+                            buffer = buffer.subarray(safe);
+                        }
+                        return;
+                    }
+                    writePart(buffer.subarray(0, index));
+                    endPart();
+                    buffer = buffer.subarray(index + delimiter.length);
+                    state = 'delimiter';
+                }
+
+                if (state === 'end') return;
+            }
+        };
+
+        const onData = (chunk) => {
+            if (failed || state === 'end') return;
+
+            size += chunk.length;
+            if (size > limit) {
+                return fail(limitError(`Request body too large. Limit: ${options.limitLabel || limit}`, 'PAYLOAD_TOO_LARGE'));
+            }
+
+            try {
+                buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+                consume();
+            } catch (err) {
+                fail(err);
+            }
+        };
+
+        const onEnd = () => {
+            if (failed) return;
+            req._bodySize = size;
+
+            if (state !== 'end') {
+                return fail(malformedError('Unexpected end of multipart body'));
+            }
+
+            // files keep the order of their parts, whatever order the storage settled them in
+            Promise.all(pending).then(results => {
+                uploads.forEach((file, i) => {
+                    if (file.fieldname) addEntry(files, file.fieldname, { ...file, ...results[i] });
+                });
+                resolve({ fields, files });
+            }, fail);
+        };
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', fail);
+    });
+}
+
+module.exports = parseMultipart;
+module.exports.diskStorage = diskStorage;
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { parsePath } = require('./router');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+const OPERATION_FIELDS = ['summary', 'description', 'tags', 'deprecated', 'operationId', 'security'];
+
+const toJSONSchema = (schema) => {
+    const { $schema, ...rest } = schema.toJSONSchema();
+    return rest;
+};
+
+// "/users/:id(\\d+)/files/*path" → "/users/{id}/files/{path}"
+const toOpenAPIPath = (routePath) => {
+    const segments = parsePath(routePath).map(segment => segment.parts.map(part => {
+        if (part.type === 'text') return part.value;
+        if (part.type === 'wildcard') return part.name ? `{${part.name}}` : '*';
+        return `{${part.name}}`;
+    }).join('')).join('/');
+
+    return '/' + segments.replace(/\/+$/, '');
+};
+
+// [{ name, pattern, optional }] for every named param and wildcard
+const pathParams = (routePath) => parsePath(routePath)
+    .flatMap(segment => segment.parts)
+    .filter(part => part.type === 'param' || (part.type === 'wildcard' && part.name))
+    .map(part => ({ name: part.name, pattern: part.pattern, optional: part.modifier === '?' || part.modifier === '*' }));
+
+// validate() middlewares carry their schemas, keyed by request source
+const routeSchemas = (route) => {
+    const schemas = {};
+    for (const middleware of route.middlewares || []) {
+        if (middleware?.schemas) Object.assign(schemas, middleware.schemas);
+    }
+    return schemas;
+};
+
+const buildParameters = (route, schemas) => {
+    const parameters = [];
+
+    const params = schemas.params && toJSONSchema(schemas.params);
+    for (const { name, pattern, optional } of pathParams(route.path)) {
+        const parameter = {
+            name,
+            in: 'path',
+            required: true,
+            schema: params?.properties[name] || (pattern ? { type: 'string', pattern: `^(?:${pattern})$` } : { type: 'string' })
+        };
+        // OpenAPI path parameters are always required
+        if (optional) parameter.description = 'Optional in the route: the segment may be omitted';
+        parameters.push(parameter);
+    }
+
+    for (const [source, location] of [['query', 'query'], ['headers', 'header']]) {
+        if (!schemas[source]) continue;
+
+        const schema = toJSONSchema(schemas[source]);
+        for (const [name, property] of Object.entries(schema.properties)) {
+            parameters.push({
+                name,
+                in: location,
+                required: (schema.required || []).includes(name),
+                schema: property
+            });
+        }
+    }
+
+    return parameters;
+};
+
+// responses: { 200: Schema } or { 200: { description, schema, contentType } }
+const buildResponses = (route, schemas) => {
+    const responses = {};
+
+    for (const [status, entry] of Object.entries(route.options?.responses || {})) {
+        const spec = entry && typeof entry.toJSONSchema === 'function' ? { schema: entry } : (entry || {});
+        const response = { description: spec.description || `Response ${status}` };
+
+        if (spec.schema) {
+            response.content = {
+                [spec.contentType || 'application/json']: {
+                    schema: typeof spec.schema.toJSONSchema === 'function' ? toJSONSchema(spec.schema) : spec.schema
+                }
+            };
+        }
+        responses[status] = response;
+    }
+
+    if (Object.keys(schemas).length && !responses[400]) {
+        responses[400] = { description: 'Validation failed' };
+    }
+    if (!Object.keys(responses).some(status => status.startsWith('2'))) {
+        responses[200] = { description: 'Successful response' };
+    }
+
+    return responses;
+};
+
+const buildOperation = (route) => {
+    const options = route.options || {};
+    const schemas = routeSchemas(route);
+    const operation = {};
+
+    for (const field of OPERATION_FIELDS) {
+        if (options[field] !== undefined) operation[field] = options[field];
+    }
+    if (!operation.operationId && route.handlerName && route.handlerName !== 'anonymous') {
+        operation.operationId = route.handlerName;
+    }
+
+    const parameters = buildParameters(route, schemas);
+    if (parameters.length) operation.parameters = parameters;
+
+    if (schemas.body) {
+        operation.requestBody = {
+            required: true,
+            content: { [options.contentType || 'application/json']: { schema: toJSONSchema(schemas.body) } }
+        };
+    }
+
+    operation.responses = buildResponses(route, schemas);
+    return operation;
+};
+
+/**
+ * Builds an OpenAPI 3.1 document from the registered routes.
+ * Routes with the option `openapi: false` are left out, as are `all()` routes.
+ */
+function generateOpenAPI(routes, options = {}) {
+    const paths = {};
+    const tags = new Set();
+    const seen = new Set();
+
+    for (const route of routes) {
+        if (route.options?.openapi === false || !METHODS.includes(route.method)) continue;
+
+        const openapiPath = toOpenAPIPath(route.path || '/');
+        const method = route.method.toLowerCase();
+
+        // the same route may be registered under several paths, or twice through mounted routers
+        const key = `${method} ${openapiPath}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const operation = buildOperation(route);
+        (operation.tags || []).forEach(tag => tags.add(tag));
+
+        paths[openapiPath] = paths[openapiPath] || {};
+        paths[openapiPath][method] = operation;
+    }
+
+    const document = {
+        openapi: '3.1.0',
+        info: { title: 'API', version: '1.0.0', ...options.info },
+        paths
+    };
+
+    if (options.servers) document.servers = options.servers;
+    if (tags.size) document.tags = [...tags].map(name => ({ name }));
+
+    return document;
+}
+
+let uiTemplate = null;
+
+// The documentation page is self-contained: no CDN, works offline
+function renderUI(specUrl, title = 'API Documentation') {
+    if (!uiTemplate) {
+        uiTemplate = fs.readFileSync(path.join(__dirname, 'openapi-ui.html'), 'utf8');
+    }
+
+    const escape = (str) => String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    return uiTemplate
+        .replace(/{{title}}/g, escape(title))
+        .replace(/{{specUrl}}/g, JSON.stringify(specUrl).replace(/</g, '\\u003c'));
+}
+
+module.exports = { generateOpenAPI, renderUI };
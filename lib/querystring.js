@@ -0,0 +1,135 @@
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const decode = (str) => {
+    const value = str.replace(/\+/g, ' ');
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+// "user[address][city]" → ['user', 'address', 'city']
+// segments deeper than `depth` are kept as one literal key: "a[b][c]" with depth 1 → ['a', 'b', '[c]']
+const splitKey = (key, depth) => {
+    const open = key.indexOf('[');
+    if (open <= 0) return [key];
+
+    const segments = [key.slice(0, open)];
+    const bracket = /\[([^[\]]*)\]/g;
+    bracket.lastIndex = open;
+
+    let position = open;
+    let match;
+
+    while (segments.length <= depth && (match = bracket.exec(key)) && match.index === position) {
+        segments.push(match[1]);
+        position = bracket.lastIndex;
+    }
+
+    if (segments.length === 1) return [key];
+    if (position < key.length) segments.push(key.slice(position));
+
+    return segments;
+};
+
+const assign = (root, segments, value) => {
+    let node = root;
+
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i] === '' ? String(Object.keys(node).length) : segments[i];
+        const existing = node[segment];
+
+        if (i === segments.length - 1) {
+            if (existing === undefined) node[segment] = value;
+            else if (Array.isArray(existing)) existing.push(value);
+            else if (typeof existing === 'string') node[segment] = [existing, value];
+            return;
+        }
+
+        if (existing === undefined) {
+            node = node[segment] = Object.create(null);
+        } else if (typeof existing === 'object' && !Array.isArray(existing)) {
+            node = existing;
+        } else {
+            // "a=1&a[b]=2": a is already a value, keep the first one
+            return;
+        }
+    }
+};
+
+const isIndex = (key, arrayLimit) => /^(0|[1-9]\d*)$/.test(key) && Number(key) <= arrayLimit;
+
+const finalize = (value, arrayLimit) => {
+    if (typeof value === 'string' || Array.isArray(value)) return value;
+
+    const keys = Object.keys(value);
+
+    if (keys.length > 0 && keys.every(key => isIndex(key, arrayLimit))) {
+        return keys
+            .sort((a, b) => a - b)
+            .map(key => finalize(value[key], arrayLimit));
+    }
+
+    const result = {};
+    for (const key of keys) {
+        result[key] = finalize(value[key], arrayLimit);
+    }
+    return result;
+};
+
+function parse(str, options = {}) {
+    const {
+        extended = true,
+        depth = 5,
+        parameterLimit = 1000,
+        arrayLimit = 20
+    } = options;
+
+    const root = Object.create(null);
+    if (!str) return {};
+
+    for (const pair of str.split('&', parameterLimit)) {
+        if (!pair) continue;
+
+        const eq = pair.indexOf('=');
+        const key = decode(eq === -1 ? pair : pair.slice(0, eq));
+        const value = eq === -1 ? '' : decode(pair.slice(eq + 1));
+        if (!key) continue;
+
+        const segments = extended ? splitKey(key, depth) : [key];
+        if (segments.some(segment => FORBIDDEN_KEYS.has(segment))) continue;
+
+        assign(root, segments, value);
+    }
+
+    // the top level is always an object, even for "0=a&1=b"
+    const result = {};
+    for (const key of Object.keys(root)) {
+        result[key] = finalize(root[key], arrayLimit);
+    }
+    return result;
+}
+
+// The reverse of parse(): { user: { tags: ['a'] } } → "user[tags][0]=a"
+function stringify(obj) {
+    const pairs = [];
+
+    const add = (key, value) => {
+        if (value === undefined || value === null) return;
+
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => add(`${key}[${index}]`, item));
+        } else if (typeof value === 'object' && !(value instanceof Date)) {
+            Object.keys(value).forEach(name => add(`${key}[${name}]`, value[name]));
+        } else {
+            const str = value instanceof Date ? value.toISOString() : String(value);
+            pairs.push(`${encodeURIComponent(key).replace(/%5B/g, '[').replace(/%5D/g, ']')}=${encodeURIComponent(str)}`);
+        }
+    };
+
+    Object.keys(obj || {}).forEach(key => add(key, obj[key]));
+    return pairs.join('&');
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,352 @@
+const escapeRegex = (str) => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const WORD = /\w/;
+
+// Reads ":name", ":name(regex)" and the optional modifier (?, + or *) starting at `start`
+function readParam(path, start) {
+    let end = start + 1;
+    while (end < path.length && WORD.test(path[end])) end++;
+    const name = path.slice(start + 1, end);
+
+    let pattern = null;
+    if (path[end] === '(') {
+        let depth = 0;
+        let i = end;
+        for (; i < path.length; i++) {
+            if (path[i] === '\\') { i++; continue; }
+            if (path[i] === '(') depth++;
+            else if (path[i] === ')' && --depth === 0) break;
+        }
+        if (depth !== 0) throw new Error(`Unbalanced parenthesis in route "${path}"`);
+        pattern = path.slice(end + 1, i);
+        // requests are matched segment by segment, a constraint never sees a "/"
+        if (pattern.includes('/')) {
+            throw new Error(`Constraint of ":${name}" cannot contain "/" in route "${path}": use ":${name}+" or "*${name}" to match several segments`);
+        }
+        end = i + 1;
+    }
+
+    let modifier = null;
+    if (path[end] === '?' || path[end] === '+' || path[end] === '*') modifier = path[end++];
+
+    return { part: { type: 'param', name, pattern, modifier }, end };
+}
+
+/**
+ * Splits a route path into segments of parts: text, params (":id", ":id(\\d+)", ":lang?", ":parts+")
+ * and wildcards ("*", "*path"). A constraint applies to one segment, so it cannot contain a slash.
+ */
+function parsePath(path) {
+    const segments = [];
+    let segment = null;
+    let text = '';
+
+    const flushText = () => {
+        if (text) segment.parts.push({ type: 'text', value: text });
+        text = '';
+    };
+
+    let i = path.startsWith('/') ? 1 : 0;
+    if (i < path.length) segment = { raw: '', parts: [] };
+
+    while (i < path.length) {
+        const char = path[i];
+        const start = i;
+
+        if (char === '/') {
+            flushText();
+            segments.push(segment);
+            segment = { raw: '', parts: [] };
+            i++;
+            continue;
+        }
+
+        if (char === ':' && WORD.test(path[i + 1] || '')) {
+            flushText();
+            const { part, end } = readParam(path, i);
+            segment.parts.push(part);
+            i = end;
+        } else if (char === '*') {
+            flushText();
+            let end = i + 1;
+            while (end < path.length && WORD.test(path[end])) end++;
+            segment.parts.push({ type: 'wildcard', name: path.slice(i + 1, end) || null });
+            i = end;
+        } else {
+            text += char;
+            i++;
+        }
+
+        segment.raw += path.slice(start, i);
+    }
+
+    if (segment) {
+        flushText();
+        segments.push(segment);
+    }
+    return segments;
+}
+
+const paramPattern = (part) => part.pattern ? `(?:${part.pattern})` : '[^/]+';
+
+// Regex source of a segment matched on its own
+const partsSource = (parts) => parts.map(part => {
+    if (part.type === 'text') return escapeRegex(part.value);
+    if (part.type === 'wildcard') return part.name ? `(?<${part.name}>.*)` : '.*';
+    return `(?<${part.name}>${paramPattern(part)})${part.modifier === '?' ? '?' : ''}`;
+}).join('');
+
+const soleParam = (segment) => segment.parts.length === 1 && segment.parts[0].type === 'param'
+    ? segment.parts[0]
+    : null;
+
+// Segments with a modifier or a wildcard may span zero or several path segments
+const spansSegments = (segment) => segment.parts.some(part =>
+    part.type === 'wildcard' || (part.type === 'param' && part.modifier && soleParam(segment))
+);
+
+// Regex source of "/seg1/seg2..." where optional and repeatable segments carry their own slash
+function tailSource(segments) {
+    return segments.map(segment => {
+        const param = soleParam(segment);
+        const wildcard = segment.parts.length === 1 && segment.parts[0].type === 'wildcard' ? segment.parts[0] : null;
+
+        if (param?.modifier) {
+            const pattern = paramPattern(param);
+            const value = param.modifier === '?' ? pattern : `${pattern}(?:/${pattern})*`;
+            const group = `/(?<${param.name}>${value})`;
+            return param.modifier === '+' ? group : `(?:${group})?`;
+        }
+        if (wildcard?.name) return `/(?<${wildcard.name}>.+)`;
+        return '/' + partsSource(segment.parts);
+    }).join('');
+}
+
+const repeatedNames = (segments) => segments
+    .map(soleParam)
+    .filter(param => param && (param.modifier === '+' || param.modifier === '*'))
+    .map(param => param.name);
+
+// Drops the params of absent optional segments and splits repeated ones into arrays
+function cleanParams(groups, repeats) {
+    const params = {};
+    for (const [name, value] of Object.entries(groups || {})) {
+        if (repeats.includes(name)) params[name] = value === undefined ? [] : value.split('/');
+        else if (value !== undefined) params[name] = value;
+    }
+    return params;
+}
+
+// Whole-path regex, as stored on route.pattern; `trailing` accepts a final slash
+function pathToRegex(path, { trailing = false } = {}) {
+    const source = tailSource(parsePath(path));
+    if (!source) return /^\/?$/;
+    return new RegExp(`^${source}${trailing ? '/?' : ''}$`);
+}
+
+/**
+ * Fills a route path with params: buildPath('/posts/:id', { id: 3 }) → '/posts/3'.
+ * Throws when a required param is missing or breaks its constraint.
+ */
+function buildPath(path, params = {}) {
+    const encodeAll = (value) => [].concat(value).flatMap(item => String(item).split('/')).map(encodeURIComponent).join('/');
+
+    const paramValue = (part) => {
+        const value = params[part.name];
+        if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+            if (part.modifier === '?' || part.modifier === '*') return null;
+            throw new Error(`Missing parameter "${part.name}"`);
+        }
+
+        const values = part.modifier === '+' || part.modifier === '*' ? [].concat(value) : [value];
+        if (part.pattern) {
+            const regex = new RegExp(`^(?:${part.pattern})$`);
+            const invalid = values.find(item => !regex.test(String(item)));
+            if (invalid !== undefined) {
+                throw new Error(`Parameter "${part.name}" does not match (${part.pattern}): "${invalid}"`);
+            }
+        }
+        return values.map(item => encodeURIComponent(String(item))).join('/');
+    };
+
+    let result = '';
+    for (const segment of parsePath(path)) {
+        let built = '';
+        for (const part of segment.parts) {
+            if (part.type === 'text') built += part.value;
+            else if (part.type === 'wildcard') {
+                const value = params[part.name || '*'];
+                built += value === undefined || value === null ? '' : encodeAll(value);
+            } else {
+                const value = paramValue(part);
+                if (value === null && soleParam(segment)) {
+                    built = null;
+                    break;
+                }
+                built += value ?? '';
+            }
+        }
+        if (built !== null) result += '/' + built;
+    }
+
+    return result || '/';
+}
+
+class Node {
+    constructor() {
+        this.statics = new Map();
+        this.params = [];
+        this.patterns = [];
+        this.tails = [];
+        this.entries = [];
+    }
+}
+
+class RouteTree {
+    constructor() {
+        this.roots = new Map();
+        this.size = 0;
+    }
+
+    insert(method, path, route, trailing = false) {
+        if (!this.roots.has(method)) {
+            this.roots.set(method, new Node());
+        }
+
+        let node = this.roots.get(method);
+        const entry = { route, order: this.size++, trailing };
+
+        const segments = parsePath(path);
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+
+            // optional, repeatable and wildcard segments: the rest of the path is matched as one regex
+            if (spansSegments(segment)) {
+                const rest = segments.slice(i);
+                const source = rest.map(s => s.raw).join('/');
+                let tail = node.tails.find(t => t.source === source);
+                if (!tail) {
+                    tail = {
+                        source,
+                        regex: new RegExp(`^${tailSource(rest)}$`),
+                        repeats: repeatedNames(rest),
+                        entries: []
+                    };
+                    node.tails.push(tail);
+                }
+                tail.entries.push(entry);
+                return entry;
+            }
+
+            const param = soleParam(segment);
+
+            if (param && !param.pattern) {
+                let child = node.params.find(p => p.name === param.name);
+                if (!child) {
+                    child = { name: param.name, node: new Node() };
+                    node.params.push(child);
+                }
+                node = child.node;
+            } else if (segment.parts.some(part => part.type !== 'text')) {
+                // constrained params (":id(\\d+)") and mixed segments ("file-:name.json")
+                let child = node.patterns.find(p => p.source === segment.raw);
+                if (!child) {
+                    child = { source: segment.raw, regex: new RegExp(`^${partsSource(segment.parts)}$`), node: new Node() };
+                    node.patterns.push(child);
+                }
+                node = child.node;
+            } else {
+                if (!node.statics.has(segment.raw)) {
+                    node.statics.set(segment.raw, new Node());
+                }
+                node = node.statics.get(segment.raw);
+            }
+        }
+
+        node.entries.push(entry);
+        return entry;
+    }
+
+    find(method, pathname) {
+        const segments = pathname.replace(/^\//, '').split('/');
+        let best = null;
+
+        for (const key of method === 'ALL' ? ['ALL'] : [method, 'ALL']) {
+            const root = this.roots.get(key);
+            if (root) best = this._match(root, segments, 0, {}, best);
+        }
+
+        return best;
+    }
+
+    methods(pathname) {
+        const segments = pathname.replace(/^\//, '').split('/');
+        const methods = [];
+
+        for (const [method, root] of this.roots) {
+            if (method === 'ALL') continue;
+            if (this._match(root, segments, 0, {}, null)) methods.push(method);
+        }
+
+        return methods;
+    }
+
+    _match(node, segments, index, params, best) {
+        // a constraint that fails simply leaves the route out: the next candidate wins
+        if (node.tails.length) {
+            const rest = index < segments.length ? '/' + segments.slice(index).join('/') : '';
+            for (const tail of node.tails) {
+                const match = rest.match(tail.regex);
+                if (match) {
+                    best = this._pick(tail.entries, { ...params, ...cleanParams(match.groups, tail.repeats) }, best, false);
+                }
+            }
+        }
+
+        if (index === segments.length) {
+            return this._pick(node.entries, params, best, false);
+        }
+
+        const segment = segments[index];
+
+        if (index === segments.length - 1 && segment === '') {
+            best = this._pick(node.entries, params, best, true);
+        }
+
+        const child = node.statics.get(segment);
+        if (child) {
+            best = this._match(child, segments, index + 1, params, best);
+        }
+
+        if (segment === '') return best;
+
+        for (const param of node.params) {
+            best = this._match(param.node, segments, index + 1, { ...params, [param.name]: segment }, best);
+        }
+
+        for (const pattern of node.patterns) {
+            const match = segment.match(pattern.regex);
+            if (match) {
+                best = this._match(pattern.node, segments, index + 1, { ...params, ...match.groups }, best);
+            }
+        }
+
+        return best;
+    }
+
+    // entries are stored in registration order, so the first eligible one is the oldest
+    _pick(entries, params, best, trailingOnly) {
+        for (const entry of entries) {
+            if (best && entry.order > best.order) break;
+            if (trailingOnly && !entry.trailing) continue;
+            return { route: entry.route, order: entry.order, params };
+        }
+        return best;
+    }
+}
+
+module.exports = RouteTree;
+module.exports.parsePath = parsePath;
+module.exports.pathToRegex = pathToRegex;
+module.exports.buildPath = buildPath;
@@ -1,3 +1,6 @@
+const jsonSchema = require('./json-schema');
+const messages = require('./messages');
+
 class ValidationError extends Error {
     constructor(errors) {
         super('Validation failed');
@@ -6,72 +9,351 @@ class ValidationError extends Error {
     }
 }
 
+// A field's rules may be given as an array, a single validator or a nested Schema
+const toRules = (rules) => {
+    if (rules instanceof Schema) return [validators.object(rules)];
+    return Array.isArray(rules) ? rules : [rules];
+};
+
+const applyRule = (rule, value, field, data, options) => {
+    if (rule.async) {
+        throw new Error(`Field "${field}" has async rules, use validateAsync()`);
+    }
+    if (rule.process) return rule.process(value, field, data, options);
+
+    const error = rule(value, field, data);
+    return { value, errors: error ? [].concat(error) : [] };
+};
+
+// Runs rules in order until the first failure, or through all of them with options.allErrors.
+// Rules exposing `process` may rewrite the value for the rules after them;
+// nested validators may report several errors at once
+const processRules = (rules, value, field, data, options = {}) => {
+    const errors = [];
+    for (const rule of toRules(rules)) {
+        const result = applyRule(rule, value, field, data, options);
+        if (result.errors.length) {
+            errors.push(...result.errors);
+            if (!options.allErrors) break;
+            continue;
+        }
+        value = result.value;
+        if (result.done) break;
+    }
+    return { value, errors };
+};
+
+const processRulesAsync = async (rules, value, field, data, options = {}) => {
+    const errors = [];
+    for (const rule of toRules(rules)) {
+        options.signal?.throwIfAborted();
+
+        const result = rule.processAsync
+            ? await rule.processAsync(value, field, data, options)
+            : applyRule(rule, value, field, data, options);
+        if (result.errors.length) {
+            errors.push(...result.errors);
+            if (!options.allErrors) break;
+            continue;
+        }
+        value = result.value;
+        if (result.done) break;
+    }
+    return { value, errors };
+};
+
+const runRules = (rules, value, field, data, options) => processRules(rules, value, field, data, options).errors;
+
+const hasAsyncRules = (rules) => toRules(rules).some(rule => rule.async);
+
+// Like Promise.all(items.map(fn)), with at most `limit` calls pending at once
+const mapLimit = async (items, limit = Infinity, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+    return results;
+};
+
+// Builds a rule from a `process(value, field, data, options) => { value, errors, done? }` function,
+// `done` skipping the rules after it. Calling the rule directly only reports errors, like any other validator.
+// `processAsync` is used by validateAsync() when the rule may contain async rules
+const processRule = (process, processAsync) => {
+    const rule = (value, field, data) => {
+        const { errors } = process(value, field, data, {});
+        return errors.length ? errors : null;
+    };
+    rule.process = process;
+    if (processAsync) rule.processAsync = processAsync;
+    return rule;
+};
+
+const INVALID = Symbol('invalid');
+
+// A transform returns the new value, or INVALID to report an error of `type`
+const transformer = (fn, type, message) => processRule((value, field, data) => {
+    const result = fn(value, data);
+    return result === INVALID
+        ? { value, errors: [fail(field, type, message)] }
+        : { value: result, errors: [] };
+});
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const translateErrors = (errors, locale) =>
+    locale ? errors.map(error => messages.translate(error, locale)) : errors;
+
+// Builds an error. Without a custom message, the catalog message for `key` is used
+// and remembered so it can be translated later
+const fail = (field, type, message, params = {}, key = type) => {
+    if (message) return { field, message, type };
+    return { field, message: messages.format('en', key, params), type, [messages.MESSAGE]: { key, params } };
+};
+
+// "address.city" → data.address.city
+const getPath = (data, path) => String(path).split('.').reduce((node, key) => node?.[key], data);
+
+// A sibling field, read when the rule runs: validators.min(validators.ref('minPrice'))
+class Ref {
+    constructor(path) {
+        this.path = path;
+    }
+
+    resolve(data) {
+        return getPath(data, this.path);
+    }
+}
+
+const coerceValue = (rules, value) => {
+    rules = toRules(rules);
+    const types = rules.map(rule => rule.type);
+
+    const nested = rules.find(rule => rule.type === 'object' || rule.type === 'array');
+    if (nested?.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+        const [inner] = nested.params;
+        return (inner instanceof Schema ? inner : new Schema(inner)).coerce(value);
+    }
+    if (nested?.type === 'array' && Array.isArray(value)) {
+        return value.map(item => coerceValue(nested.params[0], item));
+    }
+
+    if (typeof value !== 'string' || value.trim() === '') return value;
+
+    if (types.includes('integer')) {
+        const number = Number(value);
+        if (/^-?\d+$/.test(value) && Number.isSafeInteger(number)) return number;
+    } else if (types.some(type => ['number', 'positive', 'negative'].includes(type))) {
+        if (!isNaN(value)) return Number(value);
+    } else if (types.some(type => ['boolean', 'mustBeTrue', 'mustBeFalse', 'requiredTrue'].includes(type))) {
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+    }
+    return value;
+};
+
+// Rules that reject a missing value, dropped by partial()
+const REQUIRED_TYPES = ['required', 'requiredTrue', 'mustBeTrue'];
+
+const fieldList = (fields) => [].concat(...fields);
+
 class Schema {
-    constructor(rules) {
+    constructor(rules, options = {}) {
         this.rules = rules;
         this.fields = rules;
+        this.options = options;
+    }
+
+    // Returns a new object with transforms and defaults applied; the input is never modified.
+    // options.locale translates the default messages
+    validate(data, options = {}) {
+        const { value, errors } = this._process(data, '', options);
+        if (errors.length > 0) throw new ValidationError(translateErrors(errors, options.locale));
+        return value;
+    }
+
+    // options: signal (AbortSignal) cancels pending rules, concurrency limits the fields checked at once
+    async validateAsync(data, options = {}) {
+        const { value, errors } = await this._processAsync(data, '', options);
+        if (errors.length > 0) throw new ValidationError(translateErrors(errors, options.locale));
+        return value;
     }
 
-    validate(data) {
+    // Composition: every method returns a new Schema and keeps the options
+
+    extend(rules) {
+        return new Schema({ ...this.rules, ...(rules instanceof Schema ? rules.rules : rules) }, this.options);
+    }
+
+    merge(other) {
+        return new Schema({ ...this.rules, ...other.rules }, { ...this.options, ...other.options });
+    }
+
+    pick(...fields) {
+        const picked = {};
+        for (const field of fieldList(fields)) {
+            if (field in this.rules) picked[field] = this.rules[field];
+        }
+        return new Schema(picked, this.options);
+    }
+
+    omit(...fields) {
+        const omitted = fieldList(fields);
+        const rules = {};
+        for (const [field, fieldRules] of Object.entries(this.rules)) {
+            if (!omitted.includes(field)) rules[field] = fieldRules;
+        }
+        return new Schema(rules, this.options);
+    }
+
+    // Makes the given fields (all by default) optional: missing values skip their rules
+    partial(...fields) {
+        return this._mapFields(fieldList(fields), rules => [
+            validators.optional(),
+            ...rules.filter(rule => !REQUIRED_TYPES.includes(rule.type) && rule.type !== 'optional')
+        ]);
+    }
+
+    // Makes the given fields (all by default) required
+    required(...fields) {
+        return this._mapFields(fieldList(fields), rules => {
+            rules = rules.filter(rule => rule.type !== 'optional');
+            return rules.some(rule => rule.type === 'required') ? rules : [validators.required(), ...rules];
+        });
+    }
+
+    _mapFields(fields, fn) {
+        const selected = fields.length ? fields : Object.keys(this.rules);
+        const rules = { ...this.rules };
+        for (const field of selected) {
+            if (field in rules) rules[field] = fn(toRules(rules[field]));
+        }
+        return new Schema(rules, this.options);
+    }
+
+    toJSONSchema() {
+        return jsonSchema.toJSONSchema(this);
+    }
+
+    static fromJSONSchema(doc) {
+        return jsonSchema.fromJSONSchema(doc);
+    }
+
+    isAsync() {
+        if (this._async === undefined) {
+            this._async = Object.values(this.rules).some(hasAsyncRules);
+        }
+        return this._async;
+    }
+
+    _process(data, prefix, options = {}) {
+        options = { ...options, ...this.options };
+
+        const input = data && typeof data === 'object' ? data : {};
+        const results = Object.entries(this.rules).map(([field, rules]) =>
+            processRules(rules, input[field], prefix ? `${prefix}.${field}` : field, input, options)
+        );
+        return this._assemble(input, prefix, results, options);
+    }
+
+    async _processAsync(data, prefix, options = {}) {
+        options = { ...options, ...this.options };
+
+        const input = data && typeof data === 'object' ? data : {};
+        const results = await mapLimit(Object.entries(this.rules), options.concurrency, ([field, rules]) =>
+            processRulesAsync(rules, input[field], prefix ? `${prefix}.${field}` : field, input, options)
+        );
+        return this._assemble(input, prefix, results, options);
+    }
+
+    // options: stripUnknown drops fields missing from the schema, strict reports them.
+    // Array items are not fields: an array stays an array
+    _assemble(input, prefix, results, options) {
+        const isArray = Array.isArray(input);
+        const value = isArray ? [...input] : options.stripUnknown ? {} : { ...input };
         const errors = [];
-        for (const [field, validators] of Object.entries(this.rules)) {
-            const value = data[field];
-            for (const validator of validators) {
-                const error = validator(value, field, data);
-                if (error) {
-                    errors.push(error);
-                    break;
-                }
+
+        Object.keys(this.rules).forEach((field, index) => {
+            errors.push(...results[index].errors);
+            if (results[index].value !== undefined) value[field] = results[index].value;
+        });
+
+        if (options.strict && !isArray) {
+            for (const field of Object.keys(input)) {
+                if (field in this.rules) continue;
+                errors.push(fail(prefix ? `${prefix}.${field}` : field, 'unknown'));
             }
         }
-        if (errors.length > 0) throw new ValidationError(errors);
-        return true;
+
+        return { value, errors };
+    }
+
+    coerce(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+        const result = { ...data };
+        for (const [field, rules] of Object.entries(this.rules)) {
+            if (result[field] !== undefined) result[field] = coerceValue(rules, result[field]);
+        }
+        return result;
     }
 }
 
 const validators = {
-    required: (message = 'Field is required') => {
+    required: (message) => {
         return (value, field) => {
             if (value === undefined || value === null || value === '') {
-                return { field, message, type: 'required' };
+                return fail(field, 'required', message);
             }
             return null;
         };
     },
 
-    requiredTrue: (message = 'Field must be true') => {
+    requiredTrue: (message) => {
         return (value, field) => {
             const normalized = value === true || value === 'true' || value === '1' || value === 1;
             if (!normalized) {
-                return { field, message, type: 'requiredTrue' };
+                return fail(field, 'requiredTrue', message);
             }
             return null;
         }
     },
 
+    // skips the following rules when the value is missing
     optional: () => {
-        return () => null;
+        return processRule(value => ({ value, errors: [], done: isEmpty(value) }));
+    },
+
+    // accepts null: the following rules, required() included, are skipped for it
+    nullable: () => {
+        return processRule(value => ({ value, errors: [], done: value === null }));
     },
 
-    string: (message = 'Field must be a string') => {
+    string: (message) => {
         return (value, field) => {
             if (value !== undefined && typeof value !== 'string') {
-                return { field, message, type: 'string' };
+                return fail(field, 'string', message);
             }
             return null;
         };
     },
 
-    number: (message = 'Field must be a number') => {
+    number: (message) => {
         return (value, field) => {
             if (value !== undefined && typeof value !== 'number') {
-                return { field, message, type: 'number' };
+                return fail(field, 'number', message);
             }
             return null;
         };
     },
 
-    boolean: (message = 'Field must be a boolean') => {
+    boolean: (message) => {
         return (value, field) => {
             if (value === undefined || value === null || value === '') return null;
 
@@ -81,46 +363,64 @@ const validators = {
             const isValid = validTrue.includes(value) || validFalse.includes(value);
 
             if (!isValid) {
-                return { field, message, type: 'boolean' };
+                return fail(field, 'boolean', message);
             }
 
             return null;
         };
     },
 
-    integer: (message = 'Field must be an integer') => {
+    integer: (message) => {
         return (value, field) => {
             if (value !== undefined && !Number.isInteger(value)) {
-                return { field, message, type: 'integer' };
+                return fail(field, 'integer', message);
             }
             return null;
         };
     },
 
-    positive: (message = 'Field must be positive') => {
+    positive: (message) => {
         return (value, field) => {
             if (value !== undefined && value <= 0) {
-                return { field, message, type: 'positive' };
+                return fail(field, 'positive', message);
             }
             return null;
         };
     },
 
-    negative: (message = 'Field must be negative') => {
+    negative: (message) => {
         return (value, field) => {
             if (value !== undefined && value >= 0) {
-                return { field, message, type: 'negative' };
+                return fail(field, 'negative', message);
             }
             return null;
         };
     },
 
-    email: (message = 'Invalid email format') => {
+    exclusiveMin: (limit, message) => {
+        return (value, field) => {
+            if (typeof value === 'number' && value <= limit) {
+                return fail(field, 'exclusiveMin', message, { min: limit });
+            }
+            return null;
+        };
+    },
+
+    exclusiveMax: (limit, message) => {
+        return (value, field) => {
+            if (typeof value === 'number' && value >= limit) {
+                return fail(field, 'exclusiveMax', message, { max: limit });
+            }
+            return null;
+        };
+    },
+
+    email: (message) => {
         return (value, field) => {
             if (value !== undefined && value !== null) {
                 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
                 if (!emailRegex.test(value)) {
-                    return { field, message, type: 'email' };
+                    return fail(field, 'email', message);
                 }
             }
             return null;
@@ -131,18 +431,10 @@ const validators = {
         return (value, field) => {
             if (value !== undefined && value !== null) {
                 if (typeof value === 'string' && value.length < minValue) {
-                    return {
-                        field,
-                        message: message || `Field must be at least ${minValue} characters`,
-                        type: 'min'
-                    };
+                    return fail(field, 'min', message, { min: minValue }, 'min.string');
                 }
                 if (typeof value === 'number' && value < minValue) {
-                    return {
-                        field,
-                        message: message || `Field must be at least ${minValue}`,
-                        type: 'min'
-                    };
+                    return fail(field, 'min', message, { min: minValue }, 'min.number');
                 }
             }
             return null;
@@ -153,18 +445,10 @@ const validators = {
         return (value, field) => {
             if (value !== undefined && value !== null) {
                 if (typeof value === 'string' && value.length > maxValue) {
-                    return {
-                        field,
-                        message: message || `Field must be at most ${maxValue} characters`,
-                        type: 'max'
-                    };
+                    return fail(field, 'max', message, { max: maxValue }, 'max.string');
                 }
                 if (typeof value === 'number' && value > maxValue) {
-                    return {
-                        field,
-                        message: message || `Field must be at most ${maxValue}`,
-                        type: 'max'
-                    };
+                    return fail(field, 'max', message, { max: maxValue }, 'max.number');
                 }
             }
             return null;
@@ -174,11 +458,7 @@ const validators = {
     length: (n, message) => {
         return (value, field) => {
             if (typeof value === 'string' && value.length !== n) {
-                return {
-                    field,
-                    message: message || `Field must be exactly ${n} characters`,
-                    type: 'length'
-                };
+                return fail(field, 'length', message, { length: n });
             }
             return null;
         };
@@ -188,11 +468,7 @@ const validators = {
         return (value, field) => {
             if (value !== undefined && value !== null && typeof value === 'string') {
                 if (value.length < minLength) {
-                    return {
-                        field,
-                        message: message || `Field must be at least ${minLength} characters`,
-                        type: 'minLength'
-                    };
+                    return fail(field, 'minLength', message, { min: minLength });
                 }
             }
             return null;
@@ -203,22 +479,18 @@ const validators = {
         return (value, field) => {
             if (value !== undefined && value !== null && typeof value === 'string') {
                 if (value.length > maxLength) {
-                    return {
-                        field,
-                        message: message || `Field must be at most ${maxLength} characters`,
-                        type: 'maxLength'
-                    };
+                    return fail(field, 'maxLength', message, { max: maxLength });
                 }
             }
             return null;
         };
     },
 
-    pattern: (regex, message = 'Invalid format') => {
+    pattern: (regex, message) => {
         return (value, field) => {
             if (value !== undefined && value !== null && typeof value === 'string') {
                 if (!regex.test(value)) {
-                    return { field, message, type: 'pattern' };
+                    return fail(field, 'pattern', message);
                 }
             }
             return null;
@@ -229,11 +501,7 @@ const validators = {
         return (value, field) => {
             if (value !== undefined && value !== null) {
                 if (!allowedValues.includes(value)) {
-                    return {
-                        field,
-                        message: message || `Field must be one of: ${allowedValues.join(', ')}`,
-                        type: 'oneOf'
-                    };
+                    return fail(field, 'oneOf', message, { values: allowedValues.join(', ') });
                 }
             }
             return null;
@@ -243,65 +511,70 @@ const validators = {
     notOneOf: (values, message) => {
         return (value, field) => {
             if (values.includes(value)) {
-                return {
-                    field,
-                    message: message || `Field cannot be one of: ${values.join(', ')}`,
-                    type: 'notOneOf'
-                };
+                return fail(field, 'notOneOf', message, { values: values.join(', ') });
             }
             return null;
         };
     },
 
-    custom: (validatorFn, message = 'Validation failed') => {
+    custom: (validatorFn, message) => {
         return (value, field, data) => {
             const isValid = validatorFn(value, data);
             if (!isValid) {
-                return { field, message, type: 'custom' };
+                return fail(field, 'custom', message);
             }
             return null;
         };
     },
 
+    // validatorFn(value, data, { signal }) may return a promise; requires validateAsync()
+    customAsync: (validatorFn, message) => {
+        const rule = processRule(
+            (value, field) => applyRule(rule, value, field),
+            async (value, field, data, options) => {
+                const isValid = await validatorFn(value, data, { signal: options.signal });
+                return { value, errors: isValid ? [] : [fail(field, 'customAsync', message)] };
+            }
+        );
+        rule.async = true;
+        return rule;
+    },
+
     equal: (expectedValue, message) => {
         return (value, field) => {
             if (value !== expectedValue) {
-                return {
-                    field,
-                    message: message || `Field must be equal to ${expectedValue}`,
-                    type: 'equal'
-                };
+                return fail(field, 'equal', message, { value: expectedValue });
             }
             return null;
         };
     },
 
-    mustBeTrue: (message = 'This field must be accepted') => {
+    mustBeTrue: (message) => {
         return (value, field) => {
             const normalized = value === true || value === 'true' || value === '1' || value === 1;
             if (!normalized) {
-                return { field, message, type: 'mustBeTrue' };
+                return fail(field, 'mustBeTrue', message);
             }
             return null;
         };
     },
 
-    mustBeFalse: (message = 'This field must be declined') => {
+    mustBeFalse: (message) => {
         return (value, field) => {
             const normalized = value === false || value === 'false' || value === '0' || value === 0;
             if (!normalized) {
-                return { field, message, type: 'mustBeFalse' };
+                return fail(field, 'mustBeFalse', message);
             }
             return null;
         };
     },
 
-    date: (message = 'Invalid date') => {
+    date: (message) => {
         return (value, field) => {
             if (!value) return null;
             const date = new Date(value);
             if (isNaN(date.getTime())) {
-                return { field, message, type: 'date' };
+                return fail(field, 'date', message);
             }
             return null;
         };
@@ -313,11 +586,7 @@ const validators = {
             const d1 = new Date(value);
             const d2 = new Date(limit);
             if (isNaN(d1) || d1 >= d2) {
-                return {
-                    field,
-                    message: message || `Date must be before ${limit}`,
-                    type: 'before'
-                };
+                return fail(field, 'before', message, { date: limit });
             }
             return null;
         };
@@ -329,11 +598,7 @@ const validators = {
             const d1 = new Date(value);
             const d2 = new Date(limit);
             if (isNaN(d1) || d1 <= d2) {
-                return {
-                    field,
-                    message: message || `Date must be after ${limit}`,
-                    type: 'after'
-                };
+                return fail(field, 'after', message, { date: limit });
             }
             return null;
         };
@@ -342,11 +607,7 @@ const validators = {
     startsWith: (prefix, message) => {
         return (value, field) => {
             if (typeof value === 'string' && !value.startsWith(prefix)) {
-                return {
-                    field,
-                    message: message || `Field must start with "${prefix}"`,
-                    type: 'startsWith'
-                };
+                return fail(field, 'startsWith', message, { prefix });
             }
             return null;
         };
@@ -355,50 +616,324 @@ const validators = {
     endsWith: (suffix, message) => {
         return (value, field) => {
             if (typeof value === 'string' && !value.endsWith(suffix)) {
-                return {
-                    field,
-                    message: message || `Field must end with "${suffix}"`,
-                    type: 'endsWith'
-                };
+                return fail(field, 'endsWith', message, { suffix });
+            }
+            return null;
+        };
+    },
+
+    object: (schemaOrRules, message) => {
+        const schema = schemaOrRules instanceof Schema ? schemaOrRules : new Schema(schemaOrRules);
+
+        const check = (value, field) => {
+            if (value === undefined || value === null) return { value, errors: [] };
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { value, errors: [fail(field, 'object', message)] };
+            }
+            return null;
+        };
+
+        const rule = processRule(
+            (value, field, data, options) => check(value, field) || schema._process(value, field, options),
+            async (value, field, data, options) => check(value, field) || schema._processAsync(value, field, options)
+        );
+        rule.async = schema.isAsync();
+        return rule;
+    },
+
+    array: (itemRules, options = {}) => {
+        const { min, max, unique = false, message } = options;
+
+        const reject = (value, error) => ({ value, errors: [error] });
+
+        // returns a result when the array itself is settled, null when its items must be checked
+        const check = (value, field) => {
+            if (value === undefined || value === null) return { value, errors: [] };
+            if (!Array.isArray(value)) {
+                return reject(value, fail(field, 'array', message));
+            }
+            if (min !== undefined && value.length < min) {
+                return reject(value, fail(field, 'arrayMin', null, { min }));
+            }
+            if (max !== undefined && value.length > max) {
+                return reject(value, fail(field, 'arrayMax', null, { max }));
+            }
+            if (unique) {
+                const seen = new Set();
+                for (const item of value) {
+                    const key = typeof item === 'object' ? JSON.stringify(item) : item;
+                    if (seen.has(key)) {
+                        return reject(value, fail(field, 'unique'));
+                    }
+                    seen.add(key);
+                }
+            }
+
+            if (!itemRules) return { value, errors: [] };
+            return null;
+        };
+
+        const collect = (results) => ({
+            value: results.map(result => result.value),
+            errors: results.flatMap(result => result.errors)
+        });
+
+        const rule = processRule(
+            (value, field, data, processOptions) => check(value, field) || collect(value.map((item, index) =>
+                processRules(itemRules, item, `${field}[${index}]`, value, processOptions)
+            )),
+            async (value, field, data, processOptions) => check(value, field) || collect(
+                await mapLimit(value, processOptions.concurrency, (item, index) =>
+                    processRulesAsync(itemRules, item, `${field}[${index}]`, value, processOptions)
+                )
+            )
+        );
+        rule.async = !!itemRules && hasAsyncRules(itemRules);
+        return rule;
+    },
+
+    union: (...alternatives) => {
+        const message = typeof alternatives[alternatives.length - 1] === 'string'
+            ? alternatives.pop()
+            : undefined;
+
+        const noMatch = (value, field) => ({ value, errors: [fail(field, 'union', message)] });
+
+        // the first matching alternative decides the output value
+        const rule = processRule(
+            (value, field, data, options) => {
+                if (value === undefined || value === null) return { value, errors: [] };
+
+                for (const rules of alternatives) {
+                    const result = processRules(rules, value, field, data, options);
+                    if (result.errors.length === 0) return result;
+                }
+                return noMatch(value, field);
+            },
+            async (value, field, data, options) => {
+                if (value === undefined || value === null) return { value, errors: [] };
+
+                for (const rules of alternatives) {
+                    const result = await processRulesAsync(rules, value, field, data, options);
+                    if (result.errors.length === 0) return result;
+                }
+                return noMatch(value, field);
+            }
+        );
+        rule.async = alternatives.some(hasAsyncRules);
+        return rule;
+    },
+
+    sameAs: (otherField, message) => {
+        return (value, field, data) => {
+            if (value !== getPath(data, otherField)) {
+                return fail(field, 'sameAs', message, { other: otherField });
             }
             return null;
         };
+    },
+
+    // Runs thenRules when predicate(data[otherField], data) is true, otherwiseRules if given.
+    // A non-function predicate is compared with the other field's value
+    when: (otherField, predicate, thenRules, otherwiseRules) => {
+        const matches = (data) => {
+            const other = getPath(data, otherField);
+            return typeof predicate === 'function' ? predicate(other, data) : other === predicate;
+        };
+        const branch = (data) => matches(data) ? thenRules : otherwiseRules;
+
+        const rule = processRule(
+            (value, field, data, options) => {
+                const rules = branch(data);
+                return rules ? processRules(rules, value, field, data, options) : { value, errors: [] };
+            },
+            async (value, field, data, options) => {
+                const rules = branch(data);
+                return rules ? processRulesAsync(rules, value, field, data, options) : { value, errors: [] };
+            }
+        );
+        rule.async = hasAsyncRules(thenRules) || (!!otherwiseRules && hasAsyncRules(otherwiseRules));
+        return rule;
+    },
+
+    // Transforms: they rewrite the value seen by the following rules and by the handler
+
+    trim: () => transformer(value => typeof value === 'string' ? value.trim() : value),
+
+    toLowerCase: () => transformer(value => typeof value === 'string' ? value.toLowerCase() : value),
+
+    toDate: (message) => transformer(value => {
+        if (isEmpty(value)) return value;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? INVALID : date;
+    }, 'toDate', message),
+
+    toInt: (message) => transformer(value => {
+        if (isEmpty(value)) return value;
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return INVALID;
+        return Math.trunc(number);
+    }, 'toInt', message),
+
+    // a function is called for each request, e.g. default(() => new Date())
+    default: (defaultValue) => transformer(value => {
+        if (value !== undefined) return value;
+        return typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+    })
+};
+
+// ref() arguments are resolved against the sibling fields each time the rule runs
+const withRefs = (factory, args) => processRule((value, field, data, options) => {
+    const resolved = args.map(arg => arg instanceof Ref ? arg.resolve(data) : arg);
+    return applyRule(factory(...resolved), value, field, data, options);
+});
+
+// Tag every rule with the validator that built it, so schemas can be introspected
+for (const [type, factory] of Object.entries(validators)) {
+    validators[type] = (...args) => {
+        const rule = args.some(arg => arg instanceof Ref) ? withRefs(factory, args) : factory(...args);
+        return Object.assign(rule, { type, params: args });
+    };
+}
+
+validators.ref = (path) => new Ref(path);
+
+const SOURCES = ['params', 'query', 'headers', 'body'];
+
+// validate(schema) checks req.body, validate({ body, query, params, headers }) checks each source
+const toSourceSchemas = (schema) => {
+    if (schema instanceof Schema) return { body: schema };
+
+    const schemas = {};
+    for (const source of SOURCES) {
+        if (!schema[source]) continue;
+        schemas[source] = schema[source] instanceof Schema ? schema[source] : new Schema(schema[source]);
+    }
+    return schemas;
+};
+
+// Picks the data of one request source, coercing it when its values are plain strings
+const sourceData = (req, source, sourceSchema) => {
+    let data = req[source];
+
+    if (source === 'headers') {
+        // header names are lowercased by Node
+        data = {};
+        for (const field of Object.keys(sourceSchema.rules)) {
+            data[field] = req.headers[field.toLowerCase()];
+        }
+    }
+
+    // params and headers are always strings, so they follow the schema types
+    if (req.app?.settings?.coerce === 'schema' || source === 'params' || source === 'headers') {
+        data = sourceSchema.coerce(data);
+        if (source !== 'headers') req[source] = data;
+    }
+
+    return data;
+};
+
+const respond = (req, res, next, validated, errors, replace) => {
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    req.validated = validated;
+    if (replace) {
+        for (const source of Object.keys(validated)) {
+            if (source !== 'headers') req[source] = validated[source];
+        }
     }
+    next();
 };
 
-function validate(schema) {
-    return (req, res, next) => {
+const collectError = (errors, error, source) => {
+    if (!(error instanceof ValidationError)) throw error;
+    errors.push(...error.errors.map(e => ({ ...e, source })));
+};
+
+// options.locale may be a locale or (req) => locale; by default it is negotiated from Accept-Language
+const resolveLocale = (req, locale) => {
+    if (typeof locale === 'function') return locale(req);
+    if (locale) return locale;
+    return req.acceptsLanguages?.(messages.locales()) || req.app?.settings?.locale || 'en';
+};
+
+const syncMiddleware = (schemas, schemaOptions, replace) => (req, res, next) => {
+    const errors = [];
+    const validated = {};
+    const options = { ...schemaOptions, locale: resolveLocale(req, schemaOptions.locale) };
+
+    for (const [source, sourceSchema] of Object.entries(schemas)) {
         try {
-            schema.validate(req.body);
-            next();
+            validated[source] = sourceSchema.validate(sourceData(req, source, sourceSchema), options);
         } catch (error) {
-            if (error instanceof ValidationError) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Validation failed',
-                    errors: error.errors
-                });
-            }
-            throw error;
+            collectError(errors, error, source);
         }
-    };
-}
-
-function validatePartial(schema) {
-    const partial = {};
+    }
 
-    for (const field in schema.fields) {
-        const rules = schema.fields[field];
+    respond(req, res, next, validated, errors, replace);
+};
 
-        const filtered = rules.filter(v =>
-            v.name !== 'required' &&
-            v.name !== 'requiredTrue' &&
-            v.name !== 'mustBeTrue'
-        );
-        partial[field] = [validators.optional(), ...filtered];
+const asyncMiddleware = (schemas, schemaOptions, replace) => async (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    // pending rules are cancelled when the client goes away
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    res.once('close', abort);
+
+    try {
+        for (const [source, sourceSchema] of Object.entries(schemas)) {
+            try {
+                validated[source] = await sourceSchema.validateAsync(
+                    sourceData(req, source, sourceSchema),
+                    { ...schemaOptions, locale: resolveLocale(req, schemaOptions.locale), signal: controller.signal }
+                );
+            } catch (error) {
+                collectError(errors, error, source);
+            }
+        }
+    } finally {
+        res.removeListener('close', abort);
     }
 
-    return new Schema(partial);
+    respond(req, res, next, validated, errors, replace);
+};
+
+// with lazyBody the body is read right before the handler: a body schema asks for it first
+const readBodyFirst = (middleware) => (req, res, next) => {
+    if (!req.app?.settings?.lazyBody || !req.parseBody) return middleware(req, res, next);
+
+    return req.parseBody().then(() => {
+        if (!res.headersSent) return middleware(req, res, next);
+    });
+};
+
+// options: stripUnknown, strict, allErrors, locale, replace (false keeps req.body & co untouched),
+// and concurrency for schemas with async rules
+function validate(schema, options = {}) {
+    const schemas = toSourceSchemas(schema);
+    const { replace = true, ...schemaOptions } = options;
+
+    const isAsync = Object.values(schemas).some(sourceSchema => sourceSchema.isAsync());
+    let middleware = isAsync
+        ? asyncMiddleware(schemas, schemaOptions, replace)
+        : syncMiddleware(schemas, schemaOptions, replace);
+
+    if (schemas.body) middleware = readBodyFirst(middleware);
+
+    // the schemas stay readable on the middleware, for the OpenAPI generator
+    return Object.assign(middleware, { schemas });
+}
+
+function validatePartial(schema) {
+    return schema.partial();
 }
 
 module.exports = {
@@ -407,6 +942,9 @@ module.exports = {
     validators,
     validate,
     validatePartial,
+    Ref,
+    toRules,
+    addMessages: messages.addMessages,
 
     schema: (...args) => new Schema(...args),
     v: validators,
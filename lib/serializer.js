@@ -0,0 +1,140 @@
+// Compiles response schemas into serializers: only declared fields are written, in declaration order
+const schemaModule = () => require('./schema');
+
+const STRING_TYPES = ['string', 'email', 'pattern', 'length', 'minLength', 'maxLength', 'startsWith', 'endsWith', 'trim', 'toLowerCase'];
+const NUMBER_TYPES = ['number', 'integer', 'positive', 'negative', 'toInt'];
+
+const stringify = (value) => {
+    const json = JSON.stringify(value);
+    return json === undefined ? 'null' : json;
+};
+
+// strings without quotes, backslashes, control characters or lone surrogates need no escaping
+const NEEDS_ESCAPE = /["\\\u0000-\u001f\ud800-\udfff]/;
+
+const serializeString = (value) => {
+    if (typeof value !== 'string') return stringify(value);
+    return NEEDS_ESCAPE.test(value) ? JSON.stringify(value) : '"' + value + '"';
+};
+
+const serializeNumber = (value) => {
+    if (typeof value !== 'number') return stringify(value);
+    return Number.isFinite(value) ? '' + value : 'null';
+};
+
+const serializeBoolean = (value) => {
+    if (typeof value !== 'boolean') return stringify(value);
+    return value ? 'true' : 'false';
+};
+
+const toSchema = (schemaOrRules) => {
+    const { Schema } = schemaModule();
+    return schemaOrRules instanceof Schema ? schemaOrRules : new Schema(schemaOrRules);
+};
+
+// Picks the serializer of one field from its rules; unknown shapes use JSON.stringify
+function compileRules(rules) {
+    const { toRules } = schemaModule();
+
+    for (const rule of toRules(rules)) {
+        const [arg] = rule.params || [];
+
+        if (rule.type === 'object') return compileObject(toSchema(arg));
+        if (rule.type === 'array') return compileArray(arg ? compileRules(arg) : stringify);
+        if (rule.type === 'union') return stringify;
+    }
+
+    const types = toRules(rules).map(rule => rule.type);
+    if (types.some(type => STRING_TYPES.includes(type))) return serializeString;
+    if (types.some(type => NUMBER_TYPES.includes(type))) return serializeNumber;
+    if (types.includes('boolean')) return serializeBoolean;
+    return stringify;
+}
+
+function compileArray(serializeItem) {
+    return (value) => {
+        if (!Array.isArray(value)) return stringify(value);
+
+        let json = '[';
+        for (let i = 0; i < value.length; i++) {
+            if (i > 0) json += ',';
+            json += value[i] === undefined ? 'null' : serializeItem(value[i]);
+        }
+        return json + ']';
+    };
+}
+
+// The object serializer is generated code: one property read and one append per declared field
+function compileObject(schema) {
+    const names = Object.keys(schema.rules);
+    const serializers = names.map(name => compileRules(schema.rules[name]));
+
+    const body = names.map((name, i) => `
+        v = value[${JSON.stringify(name)}];
+        if (v !== undefined && typeof v !== 'function') {
+            json += (json === '' ? '{' : ',') + ${JSON.stringify(JSON.stringify(name) + ':')} + s${i}(v);
+        }`).join('');
+
+    const params = serializers.map((serialize, i) => `s${i}`);
+    return new Function('stringify', ...params, `
+        return function serializeObject(value) {
+            if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') value = value.toJSON();
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) return stringify(value);
+
+            let json = '';
+            let v;${body}
+            return json === '' ? '{}' : json + '}';
+        };`)(stringify, ...serializers);
+}
+
+/**
+ * Builds a serializer from an object Schema.
+ * Fields that are not declared are left out; an array payload is serialized item by item.
+ */
+function compileSerializer(schema) {
+    const serializeObject = compileObject(schema);
+    const serializeList = compileArray(serializeObject);
+
+    return (data) => Array.isArray(data) ? serializeList(data) : serializeObject(data);
+}
+
+// responses: { 200: Schema } or { 200: { schema, description } }; plain JSON Schemas are imported
+function compileResponses(responses) {
+    const { Schema } = schemaModule();
+    const compiled = {};
+
+    for (const [status, entry] of Object.entries(responses || {})) {
+        let schema = entry instanceof Schema ? entry : entry?.schema;
+        if (!schema) continue;
+
+        if (!(schema instanceof Schema)) {
+            if (schema.type !== 'object' && !schema.properties) continue;
+            schema = Schema.fromJSONSchema(schema);
+        }
+
+        compiled[status] = { schema, serialize: compileSerializer(schema), checked: new Set() };
+    }
+
+    return Object.keys(compiled).length ? compiled : null;
+}
+
+// Exact status first, then "2XX" style ranges, then "default"
+const findResponse = (compiled, status) =>
+    compiled[status] || compiled[`${String(status)[0]}XX`] || compiled.default || null;
+
+// Development check: declared fields must hold values of their schema.
+// Undeclared fields are not reported, the serializer leaves them out by design
+function checkResponse(schema, data) {
+    const { ValidationError } = schemaModule();
+    const items = Array.isArray(data) ? data : [data];
+
+    try {
+        items.forEach(item => schema.validate(item, { allErrors: true }));
+        return [];
+    } catch (error) {
+        if (error instanceof ValidationError) return error.errors.filter(e => e.type !== 'unknown');
+        return [];
+    }
+}
+
+module.exports = { compileSerializer, compileResponses, findResponse, checkResponse };
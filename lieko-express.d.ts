@@ -18,9 +18,16 @@ declare module "lieko-express" {
     originalUrl: string;
     params: Record<string, string>;
     query: Record<string, any>;
+    rawQuery: Record<string, any>;
     body: any;
-    files: Record<string, any>;
+    rawBody: any;
+    parseBody(): Promise<any>;
+    files: Record<string, LiekoUploadedFile | LiekoUploadedFile[]>;
+    validated?: { params?: any; query?: any; headers?: any; body?: any };
     xhr: boolean;
+    allowedMethods?: string[];
+    /** The matched route: method, path, options... */
+    route?: { method: string; path: string; options: LiekoRouteOptions; [key: string]: any };
 
     // IP helpers
     ip: {
@@ -47,6 +54,17 @@ declare module "lieko-express" {
     is(type: string): boolean;
   }
 
+  interface LiekoUploadedFile {
+    fieldname: string;
+    filename: string;
+    contentType: string;
+    size: number;
+    // set by the default disk storage
+    path?: string;
+    // anything returned by a custom storage
+    [key: string]: any;
+  }
+
   // -------------------------------
   // Response Extensions
   // -------------------------------
@@ -112,7 +130,8 @@ declare module "lieko-express" {
   type LiekoHandler = (
     req: LiekoRequest,
     res: LiekoResponse,
-    next: (err?: any) => void
+    /** Resolves once the rest of the chain (middlewares and handler) is done */
+    next: (err?: any) => Promise<void>
   ) => any;
 
   type LiekoErrorHandler = (
@@ -122,18 +141,84 @@ declare module "lieko-express" {
     next: (err?: any) => void
   ) => any;
 
+  type LiekoParamHandler = (
+    req: LiekoRequest,
+    res: LiekoResponse,
+    next: (err?: any) => Promise<void>,
+    value: string,
+    name: string
+  ) => any;
+
+  interface LiekoBodyParserOptions {
+    limit?: string | number;
+    json?: { limit?: string | number; strict?: boolean };
+    urlencoded?: { limit?: string | number; extended?: boolean };
+    multipart?: {
+      limit?: string | number;
+      fileSize?: string | number;
+      files?: number;
+      fields?: number;
+      uploadDir?: string;
+      storage?: (file: LiekoUploadedFile, stream: NodeJS.ReadableStream) => any;
+      cleanup?: boolean;
+    };
+    types?: string[];
+  }
+
+  type LiekoCorsOrigin =
+    | string
+    | RegExp
+    | Array<string | RegExp>
+    | ((origin: string, req: LiekoRequest) => boolean | string | Promise<boolean | string>)
+    | ((origin: string, callback: (err: any, allow?: boolean | string) => void) => void);
+
+  interface LiekoCorsOptions {
+    origin?: LiekoCorsOrigin;
+    strictOrigin?: boolean;
+    allowPrivateNetwork?: boolean;
+    methods?: string[];
+    headers?: string[];
+    credentials?: boolean;
+    maxAge?: number;
+    exposedHeaders?: string[];
+    debug?: boolean;
+  }
+
+  interface LiekoOpenAPIOptions {
+    path?: string;
+    docs?: string | false;
+    info?: { title?: string; version?: string; description?: string; [key: string]: any };
+    servers?: Array<{ url: string; description?: string }>;
+  }
+
+  interface LiekoRouteOptions {
+    /** Route name for app.url(); on a group, a prefix for the names of its routes */
+    name?: string;
+    cors?: LiekoCorsOptions | false;
+    bodyParser?: LiekoBodyParserOptions | boolean;
+    summary?: string;
+    description?: string;
+    tags?: string[];
+    deprecated?: boolean;
+    operationId?: string;
+    /** Per status (200, '4XX', 'default'): a Schema or { description, schema }; bodies are limited to the declared fields */
+    responses?: Record<number | string, any>;
+    openapi?: false;
+    [key: string]: any;
+  }
+
   // -------------------------------
   // Router / App Class
   // -------------------------------
   class LiekoExpress {
     constructor();
 
-    get(path: string, ...handlers: LiekoHandler[]): this;
-    post(path: string, ...handlers: LiekoHandler[]): this;
-    put(path: string, ...handlers: LiekoHandler[]): this;
-    patch(path: string, ...handlers: LiekoHandler[]): this;
-    delete(path: string, ...handlers: LiekoHandler[]): this;
-    all(path: string, ...handlers: LiekoHandler[]): this;
+    get(path: string, ...handlers: Array<LiekoHandler | LiekoRouteOptions>): this;
+    post(path: string, ...handlers: Array<LiekoHandler | LiekoRouteOptions>): this;
+    put(path: string, ...handlers: Array<LiekoHandler | LiekoRouteOptions>): this;
+    patch(path: string, ...handlers: Array<LiekoHandler | LiekoRouteOptions>): this;
+    delete(path: string, ...handlers: Array<LiekoHandler | LiekoRouteOptions>): this;
+    all(path: string, ...handlers: Array<LiekoHandler | LiekoRouteOptions>): this;
 
     use(mw: LiekoHandler): this;
     use(path: string, mw: LiekoHandler): this;
@@ -142,11 +227,25 @@ declare module "lieko-express" {
 
     group(
       basePath: string,
-      ...middlewares: LiekoHandler[]
+      ...args: Array<LiekoHandler | LiekoRouteOptions | ((group: any) => void)>
     ): this;
 
+    cors(options?: LiekoCorsOptions): LiekoHandler;
+    cors(options: false): this;
+
     errorHandler(handler: LiekoErrorHandler): this;
     notFound(handler: LiekoHandler): this;
+    methodNotAllowed(handler: LiekoHandler): this;
+
+    openapi(options?: LiekoOpenAPIOptions): this;
+    generateOpenAPI(options?: Omit<LiekoOpenAPIOptions, "path" | "docs">): Record<string, any>;
+    /** Path of a named route, e.g. url('posts.show', { id: 3 }, { page: 2 }) → '/posts/3?page=2' */
+    url(name: string, params?: Record<string, string | number>, query?: Record<string, any>): string;
+    addHook(name: "onRequest" | "preParsing" | "preHandler" | "onResponse", hook: (req: LiekoRequest, res: LiekoResponse) => any): this;
+    addHook(name: "onSend", hook: (req: LiekoRequest, res: LiekoResponse, payload: string | Buffer) => string | Buffer | void): this;
+    addHook(name: "onError", hook: (err: any, req: LiekoRequest, res: LiekoResponse) => any): this;
+    /** Runs before the route middlewares of every route using the parameter; router callbacks only apply to the router's routes */
+    param(name: string | string[], handler: LiekoParamHandler): this;
 
     set(name: string, value: any): this;
     get(setting: string): any;
@@ -1,27 +1,46 @@
-const { createServer } = require('http');
+const { createServer, STATUS_CODES } = require('http');
 const net = require("net");
 const fs = require("fs");
 const path = require("path");
 
 const { getMimeType } = require('./helpers/mimes');
+const RouteTree = require('./lib/router');
+const parseMultipart = require('./lib/multipart');
+const querystring = require('./lib/querystring');
+const cors = require('./lib/cors');
+const openapi = require('./lib/openapi');
+const serializer = require('./lib/serializer');
+const compose = require('./lib/compose');
 
 const {
   Schema,
   ValidationError,
   validators,
   validate,
-  validatePartial
+  validatePartial,
+  addMessages
 } = require('./lib/schema');
 
+const HOOKS = ['onRequest', 'preParsing', 'preHandler', 'onSend', 'onResponse', 'onError'];
+
+const createHooks = () => Object.fromEntries(HOOKS.map(name => [name, []]));
+
 process.env.UV_THREADPOOL_SIZE = require('os').availableParallelism();
 
 class LiekoExpress {
   constructor() {
     this.groupStack = [];
     this.routes = [];
+    this._routeTree = new RouteTree();
+    this._namedRoutes = new Map();
+    this._paramHandlers = Object.create(null);
+    this._hooks = createHooks();
+    // groups and mounted routers, with their path prefix, for scoped notFound handlers
+    this._prefixScopes = [];
     this.middlewares = [];
     this.errorHandlers = [];
     this.notFoundHandler = null;
+    this.methodNotAllowedHandler = null;
     this.server = null;
 
     this.settings = {
@@ -30,6 +49,17 @@ class LiekoExpress {
       'trust proxy': false,
       strictTrailingSlash: true,
       allowTrailingSlash: true,
+      autoHead: true,
+      autoOptions: true,
+      coerce: true,
+      locale: 'en',
+      env: process.env.NODE_ENV || 'development',
+      queryParser: {
+        extended: true,
+        depth: 5,
+        parameterLimit: 1000,
+        arrayLimit: 20
+      },
       views: path.join(process.cwd(), "views"),
       "view engine": "html"
     };
@@ -44,10 +74,19 @@ class LiekoExpress {
       },
       urlencoded: {
         limit: '10mb',
-        extended: true
+        extended: true,
+        depth: 5,
+        parameterLimit: 1000,
+        arrayLimit: 20
       },
       multipart: {
-        limit: '10mb'
+        limit: '10mb',
+        fileSize: null,
+        files: 20,
+        fields: 1000,
+        uploadDir: require('os').tmpdir(),
+        storage: null,
+        cleanup: true
       }
     };
 
@@ -97,19 +136,24 @@ class LiekoExpress {
 
   cors(options = {}) {
     if (options === false) {
-      this._corsMiddleware = null;
+      this.corsOptions.enabled = false;
       return this;
     }
 
-    const middleware = require('./lib/cors')(options);
-    this._corsMiddleware = middleware;
+    this.corsOptions = { ...this.corsOptions, ...options, enabled: true };
 
-    const stack = new Error().stack;
-    if (!stack.includes('at LiekoExpress.use')) {
-      this.use(middleware);
-    }
+    // kept for app.use(app.cors()) — the policy itself is applied by _handleRequest
+    return cors(this.corsOptions);
+  }
+
+  _resolveCorsOptions(route) {
+    if (route?.cors === false) return null;
+    if (route?.cors) return { ...this.corsOptions, enabled: true, ...route.cors };
+    return this.corsOptions.enabled ? this.corsOptions : null;
+  }
 
-    return middleware;
+  _applyCors(req, res, options, pathname) {
+    return cors.applyCors(req, res, options, this._allowedMethods(pathname));
   }
 
   debug(value = true) {
@@ -175,19 +219,28 @@ class LiekoExpress {
   }
 
   urlencoded(options = {}) {
-    if (options.limit) {
-      this.bodyParserOptions.urlencoded.limit = options.limit;
-    }
-    if (options.extended !== undefined) {
-      this.bodyParserOptions.urlencoded.extended = options.extended;
-    }
+    const urlencoded = this.bodyParserOptions.urlencoded;
+
+    if (options.limit) urlencoded.limit = options.limit;
+    if (options.extended !== undefined) urlencoded.extended = options.extended;
+    if (options.depth !== undefined) urlencoded.depth = options.depth;
+    if (options.parameterLimit !== undefined) urlencoded.parameterLimit = options.parameterLimit;
+    if (options.arrayLimit !== undefined) urlencoded.arrayLimit = options.arrayLimit;
+
     return this;
   }
 
   multipart(options = {}) {
-    if (options.limit) {
-      this.bodyParserOptions.multipart.limit = options.limit;
-    }
+    const multipart = this.bodyParserOptions.multipart;
+
+    if (options.limit) multipart.limit = options.limit;
+    if (options.fileSize) multipart.fileSize = options.fileSize;
+    if (options.files !== undefined) multipart.files = options.files;
+    if (options.fields !== undefined) multipart.fields = options.fields;
+    if (options.uploadDir) multipart.uploadDir = options.uploadDir;
+    if (options.storage !== undefined) multipart.storage = options.storage;
+    if (options.cleanup !== undefined) multipart.cleanup = options.cleanup;
+
     return this;
   }
 
@@ -210,45 +263,81 @@ class LiekoExpress {
     return value * multipliers[unit];
   }
 
+  _bodyLimit(contentType, options) {
+    let label = '1mb';
+
+    if (contentType.includes('application/json')) {
+      label = options.json.limit;
+    } else if (contentType.includes('application/x-www-form-urlencoded')) {
+      label = options.urlencoded.limit;
+    } else if (contentType.includes('multipart/form-data')) {
+      label = options.multipart.limit;
+    }
+
+    return { limit: this._parseLimit(label), label };
+  }
+
   async _parseBody(req, routeOptions = null) {
     return new Promise((resolve, reject) => {
 
       if (['GET', 'DELETE', 'HEAD'].includes(req.method)) {
         req.body = {};
+        req.rawBody = {};
         req.files = {};
         req._bodySize = 0;
         return resolve();
       }
 
       const contentType = (req.headers['content-type'] || '').toLowerCase();
-      const options = routeOptions || this.bodyParserOptions;
+      const options = routeOptions ?? this.bodyParserOptions;
 
       req.body = {};
+      req.rawBody = {};
       req.files = {};
 
+      if (options === false) {
+        req._bodySize = 0;
+        return resolve();
+      }
+
+      const hasBody = req.headers['transfer-encoding'] !== undefined ||
+        (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0');
+
+      if (options.types && hasBody && !this._matchContentType(contentType, options.types)) {
+        const error = new Error(`Unsupported content type "${contentType || 'none'}". Expected: ${options.types.join(', ')}`);
+        error.status = 415;
+        error.code = 'UNSUPPORTED_MEDIA_TYPE';
+        error.expose = true;
+        return reject(error);
+      }
+
       let raw = Buffer.alloc(0);
       let size = 0;
       let limitExceeded = false;
       let errorSent = false;
 
-      const detectLimit = () => {
-        if (contentType.includes('application/json')) {
-          return this._parseLimit(options.json.limit);
-        } else if (contentType.includes('application/x-www-form-urlencoded')) {
-          return this._parseLimit(options.urlencoded.limit);
-        } else if (contentType.includes('multipart/form-data')) {
-          return this._parseLimit(options.multipart.limit);
-        } else {
-          return this._parseLimit('1mb');
-        }
-      };
+      const { limit, label: limitLabel } = this._bodyLimit(contentType, options);
 
-      const limit = detectLimit();
-      const limitLabel =
-        contentType.includes('application/json') ? options.json.limit :
-          contentType.includes('application/x-www-form-urlencoded') ? options.urlencoded.limit :
-            contentType.includes('multipart/form-data') ? options.multipart.limit :
-              '1mb';
+      if (contentType.includes('multipart/form-data')) {
+        const multipart = options.multipart;
+
+        return parseMultipart(req, {
+          ...multipart,
+          limit,
+          limitLabel,
+          fileSize: multipart.fileSize ? this._parseLimit(multipart.fileSize) : limit,
+          fileSizeLabel: multipart.fileSize || limitLabel
+        }).then(({ fields, files }) => {
+          req.body = fields;
+          req.files = files;
+          this._applyBodyCoercion(req);
+
+          if (multipart.cleanup !== false && !multipart.storage) {
+            req._uploadedFiles = Object.values(files).flat().map(file => file.path);
+          }
+          resolve();
+        }, reject);
+      }
 
       req.on('data', chunk => {
         if (limitExceeded || errorSent) return;
@@ -269,6 +358,7 @@ class LiekoExpress {
           const error = new Error(`Request body too large. Limit: ${limitLabel}`);
           error.status = 413;
           error.code = 'PAYLOAD_TOO_LARGE';
+          error.expose = true;
           return reject(error);
         }
 
@@ -296,68 +386,7 @@ class LiekoExpress {
           }
 
           else if (contentType.includes('application/x-www-form-urlencoded')) {
-            const text = raw.toString();
-            const params = new URLSearchParams(text);
-            req.body = {};
-
-            if (options.urlencoded.extended) {
-              for (const [key, value] of params) {
-                if (key.includes('[')) {
-                  const match = key.match(/^([^\[]+)\[([^\]]*)\]$/);
-                  if (match) {
-                    const [, objKey, subKey] = match;
-                    if (!req.body[objKey]) req.body[objKey] = {};
-                    if (subKey) req.body[objKey][subKey] = value;
-                    else {
-                      if (!Array.isArray(req.body[objKey])) req.body[objKey] = [];
-                      req.body[objKey].push(value);
-                    }
-                    continue;
-                  }
-                }
-                req.body[key] = value;
-              }
-            } else {
-              req.body = Object.fromEntries(params);
-            }
-          }
-
-          else if (contentType.includes('multipart/form-data')) {
-            const boundaryMatch = contentType.match(/boundary=([^;]+)/);
-            if (!boundaryMatch) return reject(new Error('Missing multipart boundary'));
-
-            const boundary = '--' + boundaryMatch[1];
-
-            const text = raw.toString('binary');
-            const parts = text.split(boundary).filter(p => p && !p.includes('--'));
-
-            for (let part of parts) {
-              const headerEnd = part.indexOf('\r\n\r\n');
-              if (headerEnd === -1) continue;
-
-              const headers = part.slice(0, headerEnd);
-              const body = part.slice(headerEnd + 4).replace(/\r\n$/, '');
-
-              const nameMatch = headers.match(/name="([^"]+)"/);
-              const filenameMatch = headers.match(/filename="([^"]*)"/);
-              const contentTypeMatch = headers.match(/Content-Type:\s*([^\r\n]+)/i);
-
-              const field = nameMatch?.[1];
-              if (!field) continue;
-
-              if (filenameMatch?.[1]) {
-                const bin = Buffer.from(body, 'binary');
-
-                req.files[field] = {
-                  filename: filenameMatch[1],
-                  data: bin,
-                  size: bin.length,
-                  contentType: contentTypeMatch ? contentTypeMatch[1] : 'application/octet-stream'
-                };
-              } else {
-                req.body[field] = body;
-              }
-            }
+            req.body = querystring.parse(raw.toString(), options.urlencoded);
           }
 
           else {
@@ -365,17 +394,8 @@ class LiekoExpress {
             req.body = text ? { text } : {};
           }
 
-          for (const key in req.body) {
-            const value = req.body[key];
-
-            if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
-              req.body[key] = parseFloat(value);
-            } else if (value === 'true') {
-              req.body[key] = true;
-            } else if (value === 'false') {
-              req.body[key] = false;
-            }
-          }
+          // JSON values are already typed: only top-level strings are converted
+          this._applyBodyCoercion(req, contentType.includes('application/json') ? 1 : Infinity);
 
           resolve();
 
@@ -388,6 +408,77 @@ class LiekoExpress {
     });
   }
 
+  _resolveBodyParserOptions(route) {
+    const base = route?.bodyParserOptions || this.bodyParserOptions;
+    const override = route?.bodyParser;
+
+    if (override === undefined || override === true) return base;
+    if (override === false) return false;
+
+    const resolved = { types: override.types || null };
+    for (const type of ['json', 'urlencoded', 'multipart']) {
+      resolved[type] = {
+        ...base[type],
+        ...(override.limit && { limit: override.limit }),
+        ...override[type]
+      };
+    }
+    return resolved;
+  }
+
+  _matchContentType(contentType, types) {
+    const aliases = {
+      json: 'application/json',
+      urlencoded: 'application/x-www-form-urlencoded',
+      multipart: 'multipart/form-data',
+      text: 'text/plain'
+    };
+    const ct = contentType.split(';')[0].trim();
+
+    return types.some(type => {
+      const expected = aliases[type] || type.toLowerCase();
+      if (expected.endsWith('/*')) return ct.startsWith(expected.slice(0, -1));
+      return ct === expected;
+    });
+  }
+
+  _coerceValue(value) {
+    if (typeof value !== 'string') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+
+    // leading zeros (zip codes, phone numbers) and unsafe integers (IDs) stay strings
+    if (/^-?(0|[1-9]\d*)$/.test(value)) {
+      const number = Number(value);
+      return Number.isSafeInteger(number) ? number : value;
+    }
+    if (/^-?(0|[1-9]\d*)\.\d+$/.test(value)) return parseFloat(value);
+
+    return value;
+  }
+
+  _coerce(value, depth = Infinity) {
+    if (depth < 0) return value;
+
+    if (Array.isArray(value)) {
+      return value.map(v => this._coerce(v, depth - 1));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const key in value) result[key] = this._coerce(value[key], depth - 1);
+      return result;
+    }
+    return this._coerceValue(value);
+  }
+
+  _applyBodyCoercion(req, depth = Infinity) {
+    req.rawBody = req.body;
+
+    if (req.body && typeof req.body === 'object' && this.settings.coerce === true) {
+      req.body = this._coerce(req.body, depth);
+    }
+  }
+
   get(...args) {
     if (args.length === 1 && typeof args[0] === 'string' && !args[0].startsWith('/')) {
       return this.settings[args[0]];
@@ -431,14 +522,32 @@ class LiekoExpress {
     }
 
     const middlewares = args.filter(fn => typeof fn === "function");
+    // option objects (cors, bodyParser...) apply to every route of the group
+    const options = args.filter(arg => this._isRouteOptions(arg));
+
+    // a group name prefixes the names of its routes: { name: 'admin.' } + 'users' → 'admin.users'
+    const namePrefix = options.map(opt => opt.name || '').join('');
+    const routeOptions = options.map(({ name, ...rest }) => rest);
+    const prefixName = (arg) => parent._isRouteOptions(arg) && arg.name && namePrefix
+      ? { ...arg, name: namePrefix + arg.name }
+      : arg;
 
     const normalize = (p) => p.replace(/\/+$/, '');
     const fullBase = normalize(basePath);
 
+    // routes of the group keep a reference to it: hooks and handlers added later still apply
+    const scope = {
+      basePath: fullBase,
+      middlewares,
+      _hooks: createHooks(),
+      errorHandlers: [],
+      notFoundHandler: null
+    };
+
     const subApp = {
       _call(method, path, handlers) {
         const finalPath = normalize(fullBase + path);
-        parent[method](finalPath, ...middlewares, ...handlers);
+        parent[method](finalPath, ...routeOptions, ...middlewares, ...handlers.map(prefixName));
         return subApp;
       },
       get(path, ...handlers) { return this._call('get', path, handlers); },
@@ -448,6 +557,21 @@ class LiekoExpress {
       delete(path, ...handlers) { return this._call('delete', path, handlers); },
       all(path, ...handlers) { return this._call('all', path, handlers); },
 
+      addHook(name, fn) {
+        parent._addHookTo(scope._hooks, name, fn);
+        return subApp;
+      },
+
+      errorHandler(handler) {
+        parent._addErrorHandler(scope.errorHandlers, handler);
+        return subApp;
+      },
+
+      notFound(handler) {
+        scope.notFoundHandler = handler;
+        return subApp;
+      },
+
       use(pathOrMw, ...rest) {
         if (typeof pathOrMw === 'object' && pathOrMw instanceof LiekoExpress) {
           const finalPath = fullBase === '/' ? '/' : fullBase;
@@ -471,21 +595,110 @@ class LiekoExpress {
 
       group(subPath, ...subArgs) {
         const subCb = subArgs.pop();
-        const subMw = subArgs.filter(fn => typeof fn === "function");
+        const subMw = subArgs.filter(arg => typeof arg === "function" || parent._isRouteOptions(arg));
 
         const finalPath = normalize(fullBase + subPath);
-        parent.group(finalPath, ...middlewares, ...subMw, subCb);
+        parent.group(finalPath, ...options, ...middlewares, ...subMw, subCb);
         return subApp;
       }
     };
 
-    this.groupStack.push({ basePath: fullBase, middlewares });
+    this._prefixScopes.push({ prefix: fullBase, scope });
+    this.groupStack.push(scope);
     callback(subApp);
     this.groupStack.pop();
 
     return this;
   }
 
+  /**
+   * Registers a lifecycle hook. Request hooks receive (req, res), onSend (req, res, payload)
+   * and onError (err, req, res). Router and group hooks only run for their own routes.
+   */
+  addHook(name, fn) {
+    this._addHookTo(this._hooks, name, fn);
+    return this;
+  }
+
+  _addHookTo(hooks, name, fn) {
+    if (!HOOKS.includes(name)) {
+      throw new Error(`Unknown hook "${name}". Available hooks: ${HOOKS.join(', ')}`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error('addHook() requires a function');
+    }
+    if (name === 'onSend' && fn.constructor.name === 'AsyncFunction') {
+      throw new Error('onSend hooks must be synchronous: they run inside res.json() and res.send()');
+    }
+    hooks[name].push(fn);
+  }
+
+  // app hooks first, then those of the routers and groups around the route
+  _hooksFor(name, route) {
+    if (!route?.scopes?.length) return this._hooks[name];
+    return [this, ...route.scopes].flatMap(scope => scope._hooks[name]);
+  }
+
+  // onRequest, preParsing and preHandler: a hook that sends a response ends the request
+  async _runRequestHooks(name, route, req, res) {
+    for (const hook of this._hooksFor(name, route)) {
+      if (res.headersSent) return;
+      await hook(req, res);
+    }
+  }
+
+  // onSend hooks may replace the payload about to be written, with a string or a Buffer
+  _runSendHooks(req, res, payload) {
+    for (const hook of this._hooksFor('onSend', req.route)) {
+      const result = hook(req, res, payload);
+      if (result === undefined) continue;
+
+      if (typeof result !== 'string' && !Buffer.isBuffer(result)) {
+        const type = result === null ? 'null' : Array.isArray(result) ? 'array' : typeof result;
+        throw new TypeError(`onSend hook "${hook.name || 'anonymous'}" returned ${type}: expected a string, a Buffer or undefined`);
+      }
+      payload = result;
+    }
+    return payload;
+  }
+
+  async _runResponseHooks(req, res) {
+    for (const hook of this._hooksFor('onResponse', req.route)) {
+      try {
+        await hook(req, res);
+      } catch (error) {
+        console.error("\n🔥 ERROR INSIDE onResponse HOOK");
+        console.error(error.stack || error);
+      }
+    }
+  }
+
+  /**
+   * Registers a callback for a route parameter: (req, res, next, value, name).
+   * It runs once per request, before the route middlewares, for every route using the parameter.
+   */
+  param(name, handler) {
+    if (Array.isArray(name)) {
+      name.forEach(n => this.param(n, handler));
+      return this;
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('param() requires a callback function');
+    }
+
+    (this._paramHandlers[name] = this._paramHandlers[name] || []).push(handler);
+    return this;
+  }
+
+  // app callbacks first, then those of the mounted routers, in the order of the path
+  _paramLayers(route, req) {
+    const scopes = [this._paramHandlers, ...(route.paramScopes || [])];
+
+    return Object.keys(req.params).flatMap(name => scopes.flatMap(scope =>
+      (scope[name] || []).map(handler => (req, res, next) => handler(req, res, next, req.params[name], name))
+    ));
+  }
+
   _checkMiddleware(handler) {
     const isAsync = handler instanceof (async () => { }).constructor;
 
@@ -560,12 +773,32 @@ ${cyan}    (req, res, next) => {
     return this;
   }
 
+  methodNotAllowed(handler) {
+    this.methodNotAllowedHandler = handler;
+    return this;
+  }
+
   errorHandler(handler) {
+    this._addErrorHandler(this.errorHandlers, handler);
+    return this;
+  }
+
+  _addErrorHandler(handlers, handler) {
     if (handler.length !== 4) {
       throw new Error('errorHandler() requires (err, req, res, next)');
     }
-    this.errorHandlers.push(handler);
-    return this;
+    handlers.push(handler);
+  }
+
+  // the notFound handler of the deepest group or router whose prefix contains the path
+  _notFoundHandlerFor(pathname) {
+    let best = null;
+    for (const { prefix, scope } of this._prefixScopes) {
+      if (!scope.notFoundHandler) continue;
+      if (pathname !== prefix && !pathname.startsWith(prefix + '/')) continue;
+      if (!best || prefix.length > best.prefix.length) best = { prefix, handler: scope.notFoundHandler };
+    }
+    return best ? best.handler : this.notFoundHandler;
   }
 
   use(...args) {
@@ -643,10 +876,15 @@ ${cyan}    (req, res, next) => {
     basePath = basePath.endsWith('/') ? basePath.slice(0, -1) : basePath;
     router.groupStack = [...this.groupStack];
 
+    this._prefixScopes.push(
+      { prefix: basePath, scope: router },
+      ...router._prefixScopes.map(({ prefix, scope }) => ({ prefix: basePath + prefix, scope }))
+    );
+
     router.routes.forEach(route => {
       const fullPath = route.path === '' ? basePath : basePath + route.path;
 
-      this.routes.push({
+      this._registerRoute({
         ...route,
         path: fullPath,
         pattern: this._pathToRegex(fullPath),
@@ -654,7 +892,12 @@ ${cyan}    (req, res, next) => {
           ...this.groupStack,
           ...(route.groupChain || [])
         ],
-        bodyParserOptions: router.bodyParserOptions
+        bodyParserOptions: router.bodyParserOptions,
+        // the router's param() callbacks only apply to its own routes
+        paramScopes: [router._paramHandlers, ...(route.paramScopes || [])],
+        // groups and routers around the route, outermost first: hooks, error handlers
+        scopes: [...this.groupStack, router, ...(route.scopes || [])],
+        cors: route.cors ?? (router.corsOptions.enabled ? router.corsOptions : undefined)
       });
     });
 
@@ -666,7 +909,17 @@ ${cyan}    (req, res, next) => {
     });
   }
 
-  _addRoute(method, path, ...handlers) {
+  _isRouteOptions(value) {
+    return value !== null &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      !(value instanceof LiekoExpress);
+  }
+
+  _addRoute(method, path, ...args) {
+    const options = Object.assign({}, ...args.filter(arg => this._isRouteOptions(arg)));
+    const handlers = args.filter(arg => !this._isRouteOptions(arg));
+
     if (handlers.length === 0) {
       throw new Error('Route handler is required');
     }
@@ -702,20 +955,49 @@ ${cyan}    (req, res, next) => {
 
       if (exists) return;
 
-      this.routes.push({
+      this._registerRoute({
         method,
         path: p,
         originalPath: original,
         handler: finalHandler,
         handlerName: (finalHandler && finalHandler.name) || 'anonymous',
         middlewares: routeMiddlewares,
+        options,
+        cors: options.cors,
+        bodyParser: options.bodyParser,
         pattern: this._pathToRegex(p),
         allowTrailingSlash: this.settings.allowTrailingSlash ?? false,
-        groupChain: [...this.groupStack]
+        groupChain: [...this.groupStack],
+        scopes: [...this.groupStack]
       });
     });
   }
 
+  _registerRoute(route) {
+    let p = String(route.path).trim().replace(/\/+/g, '/');
+    if (p !== '/' && p.endsWith('/')) p = p.slice(0, -1);
+
+    const name = route.options?.name;
+    if (name) {
+      const existing = this._namedRoutes.get(name);
+      if (existing && existing.handler !== route.handler) {
+        throw new Error(`Route name "${name}" is already used by ${existing.method} ${existing.path}`);
+      }
+      // a route registered under several paths keeps its first one
+      if (!existing) this._namedRoutes.set(name, { ...route, path: p });
+    }
+
+    const isStatic = !/[:*]/.test(p);
+    const allowTrailing = this.settings.allowTrailingSlash !== false || route.allowTrailingSlash !== false;
+
+    if (route.serializers === undefined) {
+      route.serializers = serializer.compileResponses(route.options?.responses);
+    }
+
+    this.routes.push(route);
+    this._routeTree.insert(route.method, p, route, p === '/' || (isStatic && allowTrailing));
+  }
+
   _pathToRegex(path) {
     let p = String(path).trim();
     p = p.replace(/\/+/g, '/');
@@ -724,96 +1006,98 @@ ${cyan}    (req, res, next) => {
       p = p.slice(0, -1);
     }
 
-    let pattern = p
-      .replace(/:(\w+)/g, '(?<$1>[^/]+)')
-      .replace(/\*/g, '.*');
-
     const isStatic = !/[:*]/.test(p) && p !== '/';
-
     const allowTrailing = this.settings.allowTrailingSlash !== false;
 
-    if (isStatic && allowTrailing) {
-      pattern += '/?';
-    }
+    return RouteTree.pathToRegex(p, { trailing: isStatic && allowTrailing });
+  }
 
-    if (p === '/') {
-      return /^\/?$/;
+  _findRoute(method, pathname) {
+    let match = this._routeTree.find(method, pathname);
+
+    if (!match && method === 'HEAD' && this.settings.autoHead !== false) {
+      match = this._routeTree.find('GET', pathname);
     }
 
-    return new RegExp(`^${pattern}$`);
+    if (!match) return null;
+
+    return { ...match.route, params: match.params, matchedPath: pathname };
   }
 
-  _findRoute(method, pathname) {
-    for (const route of this.routes) {
-      if (route.method !== method && route.method !== 'ALL') continue;
+  _allowedMethods(pathname) {
+    const methods = this._routeTree.methods(pathname);
+    if (methods.length === 0) return methods;
 
-      const match = pathname.match(route.pattern);
-      if (match) {
-        return { ...route, params: match.groups || {}, matchedPath: pathname };
-      }
+    if (methods.includes('GET') && !methods.includes('HEAD') && this.settings.autoHead !== false) {
+      methods.push('HEAD');
     }
-
-    if (pathname.endsWith('/') && pathname.length > 1) {
-      const cleanPath = pathname.slice(0, -1);
-      for (const route of this.routes) {
-        if (route.method !== method && route.method !== 'ALL') continue;
-
-        if (route.path === cleanPath && route.allowTrailingSlash !== false) {
-          const match = cleanPath.match(route.pattern);
-          if (match) {
-            return {
-              ...route,
-              params: match.groups || {},
-              matchedPath: cleanPath,
-              wasTrailingSlash: true
-            };
-          }
-        }
-      }
+    if (!methods.includes('OPTIONS') && this.settings.autoOptions !== false) {
+      methods.push('OPTIONS');
     }
-    return null;
+
+    return methods;
   }
 
   async _runErrorHandlers(err, req, res) {
-    if (this.errorHandlers.length === 0) {
-      console.error("\n🔥 INTERNAL ERROR");
-      console.error(err.stack || err);
-      return res.status(500).json({
-        success: false,
-        error: "Internal Server Error",
-        message: err.message
-      });
+    for (const hook of this._hooksFor('onError', req.route)) {
+      try {
+        await hook(err, req, res);
+      } catch (e) {
+        console.error("\n🔥 ERROR INSIDE onError HOOK");
+        console.error(e.stack || e);
+      }
     }
 
-    let index = 0;
+    if (res.headersSent) {
+      console.error("UNCAUGHT ERROR AFTER RESPONSE SENT:", err);
+      return;
+    }
 
-    const runNext = async () => {
-      const handler = this.errorHandlers[index++];
-      if (!handler) return;
+    // the innermost group or router first; next(err) bubbles up to the parent scopes and the app
+    const scopes = [...(req.route?.scopes || [])].reverse();
+    const handlers = [...scopes, this].flatMap(scope => scope.errorHandlers);
 
-      return new Promise((resolve, reject) => {
-        try {
-          handler(err, req, res, (nextErr) => {
-            if (nextErr) reject(nextErr);
-            else resolve(runNext());
-          });
-        } catch (e) {
-          reject(e);
-        }
-      });
-    };
+    let current = err;
+    const layers = handlers.map(handler => (req, res, next) =>
+      handler(current, req, res, (nextErr) => {
+        if (nextErr) current = nextErr;
+        return next();
+      })
+    );
 
     try {
-      await runNext();
+      await compose(layers, () => { })(req, res);
     } catch (e) {
       console.error("\n🔥 ERROR INSIDE ERROR HANDLER");
       console.error(e.stack || e);
-      res.status(500).json({
-        success: false,
-        error: "Internal Server Error",
-        message: e.message
-      });
+      return this._sendInternalError(res, e.message);
     }
+
+    if (!res.headersSent) {
+      console.error("\n🔥 INTERNAL ERROR");
+      console.error(current.stack || current);
+      return this._sendInternalError(res, current.message);
+    }
+  }
+
+  // the last resort 500: when res.json() itself throws (a broken onSend hook), it is written without hooks
+  _sendInternalError(res, message) {
+    const body = { success: false, error: "Internal Server Error", message };
+
+    try {
+      return res.status(500).json(body);
+    } catch (e) {
+      console.error("\n🔥 ERROR WHILE SENDING THE ERROR RESPONSE");
+      console.error(e.stack || e);
+    }
+
+    if (res.headersSent) return;
+    const json = JSON.stringify(body);
+    res.writeHead(500, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
   }
 
   error(res, errorObj) {
@@ -924,148 +1208,191 @@ ${cyan}    (req, res, next) => {
     const qIndex = url.indexOf('?');
     const pathname = qIndex === -1 ? url : url.substring(0, qIndex);
 
-    const query = {};
-    if (qIndex !== -1) {
-      const searchParams = new URLSearchParams(url.substring(qIndex + 1));
-      for (const [key, value] of searchParams) query[key] = value;
-    }
-    req.query = query;
-    req.params = {};
+    const query = qIndex === -1 ? {} : querystring.parse(url.substring(qIndex + 1), this.settings.queryParser);
 
-    for (const key in req.query) {
-      const v = req.query[key];
-      if (v === 'true') req.query[key] = true;
-      else if (v === 'false') req.query[key] = false;
-      else if (/^\d+$/.test(v)) req.query[key] = parseInt(v);
-      else if (/^\d+\.\d+$/.test(v)) req.query[key] = parseFloat(v);
-    }
+    req.rawQuery = query;
+    req.query = this.settings.coerce === true ? this._coerce(query) : { ...query };
+    req.params = {};
 
     req._startTime = process.hrtime.bigint();
     this._enhanceResponse(req, res);
+    res.once('close', () => this._runResponseHooks(req, res));
 
     req.originalUrl = url;
 
+    let bodyError = null;
+
     try {
-      if (req.method === "OPTIONS" && this.corsOptions.enabled) {
-        this._applyCors(req, res, this.corsOptions);
+      const route = this._findRoute(req.method, pathname);
+      req.route = route || undefined;
+
+      await this._runRequestHooks('onRequest', route, req, res);
+      if (res.headersSent) return;
+
+      // a preflight follows the CORS policy of the route it asks for
+      const preflightMethod = req.method === "OPTIONS" && req.headers['access-control-request-method'];
+      const corsRoute = preflightMethod
+        ? this._findRoute(String(preflightMethod).toUpperCase(), pathname)
+        : route;
+      const corsOptions = this._resolveCorsOptions(corsRoute);
+
+      if (corsOptions && await this._applyCors(req, res, corsOptions, pathname)) {
         return;
       }
 
-      const route = this._findRoute(req.method, pathname);
+      const bodyOptions = this._resolveBodyParserOptions(route);
+      let bodyPromise = null;
 
-      if (route) {
-        if (route.cors === false) {
-        } else if (route.cors) {
-          const finalCors = {
-            ...this.corsOptions,
-            enabled: true,
-            ...route.cors
-          };
-
-          this._applyCors(req, res, finalCors);
-          if (req.method === "OPTIONS") return;
-        } else if (this.corsOptions.enabled) {
-          this._applyCors(req, res, this.corsOptions);
-          if (req.method === "OPTIONS") return;
+      req.body = {};
+      req.rawBody = {};
+      req.files = {};
+      req.parseBody = () => {
+        if (!bodyPromise) {
+          bodyPromise = this._runRequestHooks('preParsing', route, req, res).then(() => {
+            if (!res.headersSent) return this._parseBody(req, bodyOptions);
+          }).then(() => {
+            if (req._uploadedFiles?.length) {
+              res.once('close', () => {
+                req._uploadedFiles.forEach(file => fs.unlink(file, () => { }));
+              });
+            }
+            return req.body;
+          }, (error) => {
+            bodyError = error;
+            throw error;
+          });
         }
+        return bodyPromise;
+      };
+
+      if (this.settings.lazyBody) {
+        this._guardUnreadBody(req, res, bodyOptions, () => bodyPromise !== null);
       } else {
-        if (this.corsOptions.enabled) {
-          this._applyCors(req, res, this.corsOptions);
-          if (req.method === "OPTIONS") return;
+        try {
+          await req.parseBody();
+        } catch (error) {
+          return await this._handleBodyError(error, req, res);
         }
       }
 
-      try {
-        await this._parseBody(req, route ? route.bodyParserOptions : null);
-      } catch (error) {
-        if (error.code === 'PAYLOAD_TOO_LARGE') {
-          return res.status(413).json({
-            success: false,
-            error: 'Payload Too Large',
-            message: error.message
-          });
-        }
-        return await this._runErrorHandlers(error, req, res);
-      }
+      // global middlewares, then the route: each next() resolves once the rest is done
+      const layers = this.middlewares
+        .filter(mw => mw.path === null || url.startsWith(mw.path))
+        .map(mw => mw.path === null ? mw.handler : this._mountedLayer(mw, url));
 
-      for (const mw of this.middlewares) {
-        if (res.headersSent) return;
+      layers.push((req, res) => this._dispatchRoute(route, pathname, req, res));
 
-        let shouldExecute = false;
-        let pathToStrip = '';
+      await this._compose(layers)(req, res);
 
-        if (mw.path === null) {
-          shouldExecute = true;
-        } else if (url.startsWith(mw.path)) {
-          shouldExecute = true;
-          pathToStrip = mw.path;
-        }
+    } catch (error) {
+      if (!res.headersSent) {
+        // the body may also be read by a middleware, validate() included
+        if (error === bodyError) return await this._handleBodyError(error, req, res);
+        await this._runErrorHandlers(error, req, res);
+      } else {
+        console.error("UNCAUGHT ERROR AFTER RESPONSE SENT:", error);
+      }
+    }
+  }
 
-        if (!shouldExecute) continue;
+  _compose(layers) {
+    return compose(layers, (err, req, res) => this._runErrorHandlers(err, req, res));
+  }
 
-        await new Promise((resolve, reject) => {
-          const currentUrl = req.url;
+  // a middleware mounted on a path sees the URL without it until it calls next()
+  _mountedLayer(mw, url) {
+    return (req, res, next) => {
+      const currentUrl = req.url;
+      req.url = url.substring(mw.path.length) || '/';
 
-          if (pathToStrip) {
-            req.url = url.substring(pathToStrip.length) || '/';
-          }
+      return mw.handler(req, res, (err) => {
+        req.url = currentUrl;
+        return next(err);
+      });
+    };
+  }
 
-          const next = async (err) => {
-            req.url = currentUrl;
+  async _dispatchRoute(route, pathname, req, res) {
+    if (!route) {
+      const allowed = this._allowedMethods(pathname);
 
-            if (err) {
-              await this._runErrorHandlers(err, req, res);
-              return resolve();
-            }
-            resolve();
-          };
+      if (allowed.length > 0) {
+        req.allowedMethods = allowed;
+        res.setHeader('Allow', allowed.join(', '));
 
-          const result = mw.handler(req, res, next);
-          if (result && typeof result.then === 'function') {
-            result.then(resolve).catch(reject);
-          }
+        if (req.method === 'OPTIONS' && this.settings.autoOptions !== false) {
+          res.statusCode = 204;
+          return res.end();
+        }
+
+        if (this.methodNotAllowedHandler) return this.methodNotAllowedHandler(req, res);
+        return res.error({
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed on ${pathname}`
         });
       }
 
-      if (res.headersSent) return;
-
-      if (!route) {
-        if (this.notFoundHandler) return this.notFoundHandler(req, res);
-        return res.status(404).json({ success: false, error: { message: 'Route not found', code: 404 } });
-      }
+      const notFoundHandler = this._notFoundHandlerFor(pathname);
+      if (notFoundHandler) return notFoundHandler(req, res);
+      return res.status(404).json({ success: false, error: { message: 'Route not found', code: 404 } });
+    }
 
-      req.params = route.params;
+    req.params = route.params;
 
-      for (const middleware of route.middlewares) {
-        if (res.headersSent) return;
+    // with lazyBody, route middlewares can still reject before the body is read
+    const readBody = this.settings.lazyBody
+      ? [async (req, res, next) => {
+        try {
+          await req.parseBody();
+        } catch (error) {
+          return await this._handleBodyError(error, req, res);
+        }
+        return next();
+      }]
+      : [];
+
+    const preHandler = this._hooksFor('preHandler', route).length
+      ? [(req, res, next) => this._runRequestHooks('preHandler', route, req, res).then(() => next())]
+      : [];
+
+    // param() callbacks, route middlewares (group ones included), the body, preHandler hooks and the handler
+    await this._compose([
+      ...this._paramLayers(route, req),
+      ...route.middlewares,
+      ...readBody,
+      ...preHandler,
+      route.handler
+    ])(req, res);
+  }
 
-        await new Promise((resolve, reject) => {
-          const next = async (err) => {
-            if (err) {
-              await this._runErrorHandlers(err, req, res);
-              return resolve();
-            }
-            resolve();
-          };
+  async _handleBodyError(error, req, res) {
+    // errors raised by the body parser itself (oversized, unsupported or malformed bodies)
+    // are answered with their own status, anything else goes to the error handlers
+    if (error.expose) {
+      return res.status(error.status).json({
+        success: false,
+        error: STATUS_CODES[error.status],
+        message: error.message
+      });
+    }
+    return await this._runErrorHandlers(error, req, res);
+  }
 
-          const result = middleware(req, res, next);
-          if (result && typeof result.then === 'function') {
-            result.then(resolve).catch(reject);
-          }
-        });
-      }
+  _guardUnreadBody(req, res, options, isConsumed) {
+    const socket = req.socket;
 
-      if (res.headersSent) return;
+    res.once('finish', () => {
+      if (req.complete || isConsumed() || !socket || socket.destroyed) return;
 
-      await route.handler(req, res);
+      // small bodies are drained by Node to keep the connection alive,
+      // anything bigger than the limit (or of unknown size) closes it instead
+      const length = parseInt(req.headers['content-length'], 10);
+      const { limit } = this._bodyLimit((req.headers['content-type'] || '').toLowerCase(), options || this.bodyParserOptions);
+      if (!isNaN(length) && length <= limit) return;
 
-    } catch (error) {
-      if (!res.headersSent) {
-        await this._runErrorHandlers(error, req, res);
-      } else {
-        console.error("UNCAUGHT ERROR AFTER RESPONSE SENT:", error);
-      }
-    }
+      socket.end();
+      socket.once('finish', () => socket.destroy());
+    });
   }
 
   _enhanceRequest(req) {
@@ -1168,9 +1495,13 @@ ${cyan}    (req, res, next) => {
     req.acceptsLanguages = function (langs) {
       if (!Array.isArray(langs)) langs = [langs];
       const accepted = parseAccept(req.headers['accept-language'] || '');
-      for (const lang of langs) {
-        const l = lang.toLowerCase();
-        if (accepted.some(a => a === l || a.startsWith(l + '-'))) return lang;
+      // the client's order of preference wins
+      for (const a of accepted) {
+        const match = langs.find(lang => {
+          const l = lang.toLowerCase();
+          return a === '*' || a === l || a.startsWith(l + '-');
+        });
+        if (match) return match;
       }
       return false;
     };
@@ -1230,6 +1561,26 @@ ${cyan}    (req, res, next) => {
     };
   }
 
+  // Routes declaring `responses` only send the fields of the schema matching the status
+  _serializeResponse(req, status, data) {
+    const response = req.route?.serializers && serializer.findResponse(req.route.serializers, status);
+    if (!response) return JSON.stringify(data);
+
+    // checked once per route and status, not on every response
+    if (this.settings.env === 'development' && !response.checked.has(status)) {
+      response.checked.add(status);
+      const errors = serializer.checkResponse(response.schema, data);
+      if (errors.length > 0) {
+        console.warn(
+          `\x1b[33m⚠️  Response ${status} of ${req.method} ${req.route.path} does not match its schema:\x1b[0m\n` +
+          errors.map(error => `   - ${error.field}: ${error.message}`).join('\n')
+        );
+      }
+    }
+
+    return response.serialize(data);
+  }
+
   _enhanceResponse(req, res) {
     res.app = this;
     res.locals = {};
@@ -1305,7 +1656,7 @@ ${cyan}    (req, res, next) => {
       if (responseSent) return res;
 
       try {
-        const locals = { ...res.locals, ...options };
+        const locals = { url: (...args) => this.url(...args), ...res.locals, ...options };
         let viewPath = view;
         let ext = path.extname(view);
 
@@ -1394,7 +1745,7 @@ ${cyan}    (req, res, next) => {
     res.json = (data) => {
       if (responseSent) return res;
 
-      const json = JSON.stringify(data);
+      const json = this._runSendHooks(req, res, this._serializeResponse(req, statusCode || 200, data));
       const length = Buffer.byteLength(json);
 
       res.writeHead(statusCode || 200, buildHeaders('application/json; charset=utf-8', length));
@@ -1412,7 +1763,7 @@ ${cyan}    (req, res, next) => {
         body = 'null';
         contentType = 'application/json; charset=utf-8';
       } else if (typeof data === 'object') {
-        body = JSON.stringify(data);
+        body = this._serializeResponse(req, statusCode || 200, data);
         contentType = 'application/json; charset=utf-8';
       } else if (typeof data === 'string') {
         body = data;
@@ -1422,6 +1773,7 @@ ${cyan}    (req, res, next) => {
         contentType = 'text/plain; charset=utf-8';
       }
 
+      body = this._runSendHooks(req, res, body);
       const length = Buffer.byteLength(body);
 
       res.writeHead(statusCode || 200, buildHeaders(contentType, length));
@@ -1561,10 +1913,10 @@ ${cyan}    (req, res, next) => {
       return res;
     };
 
-    res.html = function (html, status) {
+    res.html = (html, status) => {
       res.statusCode = status !== undefined ? status : (statusCode || 200);
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
+      res.end(this._runSendHooks(req, res, html));
     };
 
     res.ok = (data, message) => {
@@ -1698,6 +2050,14 @@ ${cyan}    (req, res, next) => {
     const originalEnd = res.end.bind(res);
 
     res.end = (...args) => {
+      // HEAD: Node drops the body itself, but only advertises its length if we set it
+      if (req.method === 'HEAD' && !res.headersSent && !res.hasHeader('Content-Length')) {
+        const [chunk] = args;
+        if (typeof chunk === 'string' || Buffer.isBuffer(chunk)) {
+          res.setHeader('Content-Length', Buffer.byteLength(chunk));
+        }
+      }
+
       const result = originalEnd(...args);
 
       if (this.settings.debug && req._startTime) {
@@ -1720,7 +2080,7 @@ ${cyan}    (req, res, next) => {
       let rendered = content;
 
       Object.keys(locals).forEach(key => {
-        if (locals[key] !== undefined && locals[key] !== null) {
+        if (locals[key] !== undefined && locals[key] !== null && typeof locals[key] !== 'function') {
           const safeRegex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
           const unsafeRegex = new RegExp(`{{{\\s*${key}\\s*}}}`, 'g');
 
@@ -1749,16 +2109,6 @@ ${cyan}    (req, res, next) => {
       .replace(/'/g, '&#039;');
   }
 
-  async _runMiddleware(handler, req, res) {
-    return new Promise((resolve, reject) => {
-      const next = (err) => err ? reject(err) : resolve();
-      const result = handler(req, res, next);
-      if (result && typeof result.then === 'function') {
-        result.then(resolve).catch(reject);
-      }
-    });
-  }
-
   _debugLog(req, res, meta) {
     if (!this.settings.debug) return;
 
@@ -1858,6 +2208,52 @@ ${cyan}    (req, res, next) => {
     }));
   }
 
+  generateOpenAPI(options = {}) {
+    return openapi.generateOpenAPI(this.routes, options);
+  }
+
+  // Serves the OpenAPI document and an offline documentation page (docs: false to disable it)
+  openapi(options = {}) {
+    const {
+      path: specPath = '/openapi.json',
+      docs = '/docs',
+      ...documentOptions
+    } = options;
+
+    this.get(specPath, { openapi: false }, (req, res) => {
+      res.json(this.generateOpenAPI(documentOptions));
+    });
+
+    if (docs) {
+      const title = documentOptions.info?.title || 'API Documentation';
+      this.get(docs, { openapi: false }, (req, res) => {
+        res.html(openapi.renderUI(specPath, title));
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Builds the path of a named route: app.url('posts.show', { id: 3 }, { page: 2 }) → '/posts/3?page=2'
+   */
+  url(name, params = {}, query) {
+    const route = this._namedRoutes.get(name);
+    if (!route) {
+      throw new Error(`No route named "${name}"`);
+    }
+
+    let pathname;
+    try {
+      pathname = RouteTree.buildPath(route.path, params);
+    } catch (error) {
+      throw new Error(`${error.message} for route "${name}"`);
+    }
+
+    const search = query && querystring.stringify(query);
+    return search ? `${pathname}?${search}` : pathname;
+  }
+
   printRoutes() {
     if (this.routes.length === 0) {
       console.log('\nNo routes registered.\n');
@@ -1924,3 +2320,4 @@ module.exports.validators = validators;
 module.exports.validate = validate;
 module.exports.validatePartial = validatePartial;
 module.exports.ValidationError = ValidationError;
+module.exports.addMessages = addMessages;
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { createSchema, validators: v, validate } = Lieko;
+const { start } = require('./helpers');
+
+test('lazyBody lets route middlewares reject before the body is read', async (t) => {
+    const app = Lieko();
+    app.enable('lazyBody');
+
+    let parsed = 0;
+    app.addHook('preParsing', () => { parsed++; });
+
+    const requireToken = (req, res, next) => {
+        if (req.headers.authorization !== 'token') return res.status(401).json({ error: 'unauthorized' });
+        next();
+    };
+    app.post('/posts', requireToken, (req, res) => res.json(req.body));
+
+    const { request } = await start(t, app);
+
+    const denied = await request('POST', '/posts', { body: { title: 'a' } });
+    assert.strictEqual(denied.status, 401);
+    assert.strictEqual(parsed, 0);
+
+    const allowed = await request('POST', '/posts', { body: { title: 'a' }, headers: { authorization: 'token' } });
+    assert.deepStrictEqual(allowed.body, { title: 'a' });
+    assert.strictEqual(parsed, 1);
+});
+
+test('lazyBody reads the body before preHandler hooks', async (t) => {
+    const app = Lieko();
+    app.enable('lazyBody');
+
+    let seen;
+    app.addHook('preHandler', (req) => { seen = req.body; });
+    app.post('/posts', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    await request('POST', '/posts', { body: { title: 'a' } });
+    assert.deepStrictEqual(seen, { title: 'a' });
+});
+
+test('validate() reads a lazy body when it runs', async (t) => {
+    const app = Lieko();
+    app.enable('lazyBody');
+
+    const schema = createSchema({ title: [v.required(), v.string()] });
+    app.post('/posts', validate(schema), (req, res) => res.json(req.body));
+
+    const { request } = await start(t, app);
+
+    assert.deepStrictEqual((await request('POST', '/posts', { body: { title: 'a' } })).body, { title: 'a' });
+    assert.strictEqual((await request('POST', '/posts', { body: {} })).status, 400);
+});
+
+test('lazy body errors keep their status', async (t) => {
+    const app = Lieko();
+    app.enable('lazyBody');
+    app.json({ limit: 10 });
+    app.post('/posts', (req, res) => res.json({ ok: true }));
+    app.post('/validated', validate(createSchema({ title: [v.string()] })), (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const body = { title: 'more than ten bytes' };
+    assert.strictEqual((await request('POST', '/posts', { body })).status, 413);
+    assert.strictEqual((await request('POST', '/validated', { body })).status, 413);
+});
+
+test('a route can override the body limit and accepted types', async (t) => {
+    const app = Lieko();
+    app.json({ limit: 10 });
+    app.post('/small', (req, res) => res.json(req.body));
+    app.post('/big', { bodyParser: { limit: '1kb', types: ['json'] } }, (req, res) => res.json(req.body));
+
+    const { request } = await start(t, app);
+
+    const body = { title: 'more than ten bytes' };
+    assert.strictEqual((await request('POST', '/small', { body })).status, 413);
+    assert.deepStrictEqual((await request('POST', '/big', { body })).body, body);
+
+    const text = await request('POST', '/big', { body: 'plain', headers: { 'content-type': 'text/plain' } });
+    assert.strictEqual(text.status, 415);
+    assert.strictEqual(text.body.error, 'Unsupported Media Type');
+});
+
+test('bodyParser: false leaves the request stream unread', async (t) => {
+    const app = Lieko();
+    app.post('/webhook', { bodyParser: false }, async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        res.json({ body: req.body, raw: Buffer.concat(chunks).toString() });
+    });
+
+    const { request } = await start(t, app);
+
+    const res = await request('POST', '/webhook', { body: '{"event":"paid"}', headers: { 'content-type': 'application/json' } });
+    assert.deepStrictEqual(res.body, { body: {}, raw: '{"event":"paid"}' });
+});
+
+test('query strings and bodies are coerced, raw values stay available', async (t) => {
+    const app = Lieko();
+    app.post('/search', (req, res) => res.json({ query: req.query, rawQuery: req.rawQuery, body: req.body }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('POST', '/search?page=2&active=true&zip=00123&price=19.99', { body: { count: '3', name: 'x' } });
+    assert.deepStrictEqual(res.body.query, { page: 2, active: true, zip: '00123', price: 19.99 });
+    assert.strictEqual(res.body.rawQuery.page, '2');
+    assert.deepStrictEqual(res.body.body, { count: 3, name: 'x' });
+});
+
+test('coerce: false keeps strings, coerce: schema follows validate()', async (t) => {
+    const app = Lieko();
+    app.get('/plain', (req, res) => res.json(req.query));
+    app.get('/typed', validate({ query: createSchema({ page: [v.integer()] }) }), (req, res) => res.json(req.query));
+
+    const { request } = await start(t, app);
+
+    app.set('coerce', false);
+    assert.deepStrictEqual((await request('GET', '/plain?page=2')).body, { page: '2' });
+
+    app.set('coerce', 'schema');
+    assert.deepStrictEqual((await request('GET', '/typed?page=2&ref=12')).body, { page: 2, ref: '12' });
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const compose = require('../lib/compose');
+const Lieko = require('../lieko-express');
+const { start } = require('./helpers');
+
+const fakeResponse = () => Object.assign(new EventEmitter(), { headersSent: false, writableEnded: false });
+
+test('await next() resumes once the rest of the chain is done', async () => {
+    const calls = [];
+    const run = compose([
+        async (req, res, next) => {
+            calls.push('a:before');
+            await next();
+            calls.push('a:after');
+        },
+        (req, res, next) => {
+            calls.push('b');
+            setTimeout(next, 5);
+        },
+        async () => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            calls.push('handler');
+        }
+    ], () => { });
+
+    await run({}, fakeResponse());
+    assert.deepStrictEqual(calls, ['a:before', 'b', 'handler', 'a:after']);
+});
+
+test('next(err) calls onError and stops the chain', async () => {
+    const errors = [];
+    let reached = false;
+    const run = compose([
+        (req, res, next) => next(new Error('boom')),
+        () => { reached = true; }
+    ], (err) => { errors.push(err.message); });
+
+    await run({}, fakeResponse());
+    assert.deepStrictEqual(errors, ['boom']);
+    assert.strictEqual(reached, false);
+});
+
+test('a thrown error rejects the chain', async () => {
+    const run = compose([
+        async (req, res, next) => next(),
+        async () => { throw new Error('thrown'); }
+    ], () => { });
+
+    await assert.rejects(run({}, fakeResponse()), /thrown/);
+});
+
+test('the chain stops once the response is sent', async () => {
+    const res = fakeResponse();
+    let reached = false;
+    const run = compose([
+        (req, res, next) => {
+            res.headersSent = true;
+            res.writableEnded = true;
+            next();
+        },
+        () => { reached = true; }
+    ], () => { });
+
+    await run({}, res);
+    assert.strictEqual(reached, false);
+});
+
+test('an async middleware resolving without next() lets the chain go on', async () => {
+    let reached = false;
+    const run = compose([
+        async () => { },
+        (req, res) => {
+            reached = true;
+            res.writableEnded = true;
+        }
+    ], () => { });
+
+    await run({}, fakeResponse());
+    assert.strictEqual(reached, true);
+});
+
+test('a sync middleware neither calling next() nor answering holds the chain until the connection closes', async () => {
+    const res = fakeResponse();
+    let reached = false;
+    let settled = false;
+    const run = compose([
+        () => { },
+        () => { reached = true; }
+    ], () => { });
+
+    const done = run({}, res).then(() => { settled = true; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(settled, false);
+
+    res.emit('close');
+    await done;
+    assert.strictEqual(reached, false);
+});
+
+test('middlewares can measure the handler after await next()', async (t) => {
+    const app = Lieko();
+    let elapsed;
+
+    app.use(async (req, res, next) => {
+        const startedAt = Date.now();
+        await next();
+        elapsed = Date.now() - startedAt;
+    });
+    app.get('/slow', async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        res.json({ ok: true });
+    });
+
+    const { request } = await start(t, app);
+
+    assert.strictEqual((await request('GET', '/slow')).status, 200);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(elapsed >= 15, `elapsed ${elapsed}`);
+});
+
+test('thrown errors reach the error handlers, whatever their status', async (t) => {
+    const app = Lieko();
+    app.use((req, res, next) => {
+        if (req.headers.authorization === undefined) throw Object.assign(new Error('Sign in first'), { status: 401 });
+        next();
+    });
+    app.get('/admin', async () => { throw Object.assign(new Error('Admins only'), { status: 403 }); });
+    app.errorHandler((err, req, res, next) => res.status(err.status).json({ handled: err.message }));
+
+    const { request } = await start(t, app);
+
+    const anonymous = await request('GET', '/admin');
+    assert.strictEqual(anonymous.status, 401);
+    assert.deepStrictEqual(anonymous.body, { handled: 'Sign in first' });
+
+    const user = await request('GET', '/admin', { headers: { authorization: 'Bearer x' } });
+    assert.strictEqual(user.status, 403);
+    assert.deepStrictEqual(user.body, { handled: 'Admins only' });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const cors = require('../lib/cors');
+const { start } = require('./helpers');
+
+const preflight = (method, origin) => ({
+    headers: { origin, 'access-control-request-method': method }
+});
+
+test('app.cors() answers preflights with the methods of the path', async (t) => {
+    const app = Lieko();
+    app.cors({ origin: ['https://a.com', 'https://*.b.com'], strictOrigin: true });
+    app.get('/items', (req, res) => res.json({ ok: true }));
+    app.post('/items', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('OPTIONS', '/items', preflight('POST', 'https://api.b.com'));
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(res.headers['access-control-allow-origin'], 'https://api.b.com');
+    assert.deepStrictEqual(res.headers['access-control-allow-methods'].split(', ').sort(), ['GET', 'OPTIONS', 'POST']);
+    assert.strictEqual(res.headers.vary, 'Origin');
+
+    const denied = await request('GET', '/items', { headers: { origin: 'https://evil.com' } });
+    assert.strictEqual(denied.status, 403);
+});
+
+test('route and group policies override the app policy', async (t) => {
+    const app = Lieko();
+    app.cors({ origin: 'https://app.com' });
+    app.group('/partner', { cors: { origin: 'https://partner.com', credentials: true } }, (partner) => {
+        partner.get('/status', { cors: { origin: '*' } }, (req, res) => res.json({ ok: true }));
+        partner.get('/orders', (req, res) => res.json({ ok: true }));
+    });
+    app.get('/private', { cors: false }, (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const headers = { origin: 'https://partner.com' };
+    assert.strictEqual((await request('GET', '/partner/status', { headers })).headers['access-control-allow-origin'], '*');
+
+    const orders = await request('GET', '/partner/orders', { headers });
+    assert.strictEqual(orders.headers['access-control-allow-origin'], 'https://partner.com');
+    assert.strictEqual(orders.headers['access-control-allow-credentials'], 'true');
+
+    assert.strictEqual((await request('GET', '/private', { headers })).headers['access-control-allow-origin'], undefined);
+});
+
+test('lib/cors.js middleware shares the same engine, dynamic origins included', async (t) => {
+    const app = Lieko();
+    app.use(cors({ origin: async (origin) => origin.endsWith('.trusted.com') }));
+    app.get('/data', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const allowed = await request('GET', '/data', { headers: { origin: 'https://x.trusted.com' } });
+    assert.strictEqual(allowed.headers['access-control-allow-origin'], 'https://x.trusted.com');
+
+    const other = await request('GET', '/data', { headers: { origin: 'https://other.com' } });
+    assert.strictEqual(other.headers['access-control-allow-origin'], undefined);
+
+    const res = await request('OPTIONS', '/data', preflight('GET', 'https://x.trusted.com'));
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(res.headers.allow, 'GET, HEAD, OPTIONS');
+});
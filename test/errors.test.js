@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { Router } = Lieko;
+const { start } = require('./helpers');
+
+const buildApp = () => {
+    const app = Lieko();
+    const seen = [];
+
+    const users = Router();
+    users.errorHandler((err, req, res, next) => {
+        seen.push('users');
+        if (err.code === 'USER_LOCKED') return res.status(423).json({ error: err.message });
+        next(err);
+    });
+    users.notFound((req, res) => res.status(404).json({ error: 'Unknown users endpoint' }));
+    users.get('/locked', () => { throw Object.assign(new Error('Locked'), { code: 'USER_LOCKED' }); });
+    users.get('/broken', (req, res, next) => next(new Error('Broken')));
+
+    app.group('/api', (api) => {
+        api.errorHandler((err, req, res, next) => {
+            seen.push('api');
+            next(Object.assign(new Error(`api: ${err.message}`), { cause: err }));
+        });
+        api.notFound((req, res) => res.status(404).json({ error: 'Unknown API endpoint' }));
+        api.use('/users', users);
+        api.get('/fail', async () => { throw new Error('Fail'); });
+    });
+
+    app.get('/fail', () => { throw new Error('App fail'); });
+    app.errorHandler((err, req, res, next) => {
+        seen.push('app');
+        res.status(500).json({ error: err.message });
+    });
+
+    return { app, seen };
+};
+
+test('errors go to the innermost handler first and bubble up with next(err)', async (t) => {
+    const { app, seen } = buildApp();
+
+    const { request } = await start(t, app);
+
+    assert.deepStrictEqual((await request('GET', '/api/users/locked')).body, { error: 'Locked' });
+    assert.deepStrictEqual(seen.splice(0), ['users']);
+
+    assert.deepStrictEqual((await request('GET', '/api/users/broken')).body, { error: 'api: Broken' });
+    assert.deepStrictEqual(seen.splice(0), ['users', 'api', 'app']);
+
+    assert.deepStrictEqual((await request('GET', '/api/fail')).body, { error: 'api: Fail' });
+    assert.deepStrictEqual(seen.splice(0), ['api', 'app']);
+
+    assert.deepStrictEqual((await request('GET', '/fail')).body, { error: 'App fail' });
+    assert.deepStrictEqual(seen.splice(0), ['app']);
+});
+
+test('the deepest notFound handler whose prefix matches wins', async (t) => {
+    const { app } = buildApp();
+    app.notFound((req, res) => res.status(404).json({ error: 'Unknown page' }));
+
+    const { request } = await start(t, app);
+
+    assert.deepStrictEqual((await request('GET', '/api/users/x/y')).body, { error: 'Unknown users endpoint' });
+    assert.deepStrictEqual((await request('GET', '/api/nothing')).body, { error: 'Unknown API endpoint' });
+    assert.deepStrictEqual((await request('GET', '/apix')).body, { error: 'Unknown page' });
+    assert.deepStrictEqual((await request('GET', '/nothing')).body, { error: 'Unknown page' });
+});
+
+test('an error nobody handles answers 500', async (t) => {
+    t.mock.method(console, 'error', () => { });
+    const app = Lieko();
+    app.errorHandler((err, req, res, next) => next(err));
+    app.get('/', () => { throw new Error('Nobody cares'); });
+
+    const { request } = await start(t, app);
+
+    const res = await request('GET', '/');
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(res.body, { success: false, error: 'Internal Server Error', message: 'Nobody cares' });
+});
+
+test('errors carrying a 4xx status still reach the scoped handlers', async (t) => {
+    const app = Lieko();
+
+    const users = Router();
+    users.errorHandler((err, req, res, next) => res.status(err.status).json({ scope: 'users', error: err.message }));
+    users.get('/bad', () => { throw Object.assign(new Error('Bad input'), { status: 400 }); });
+    users.get('/:id', async () => { throw Object.assign(new Error('No such user'), { status: 404 }); });
+    app.use('/users', users);
+
+    app.group('/posts', (posts) => {
+        posts.errorHandler((err, req, res, next) => res.status(err.status).json({ scope: 'posts', error: err.message }));
+        posts.get('/:id', () => { throw Object.assign(new Error('No such post'), { status: 404 }); });
+    });
+
+    const { request } = await start(t, app);
+
+    const bad = await request('GET', '/users/bad');
+    assert.strictEqual(bad.status, 400);
+    assert.deepStrictEqual(bad.body, { scope: 'users', error: 'Bad input' });
+
+    const user = await request('GET', '/users/7');
+    assert.strictEqual(user.status, 404);
+    assert.deepStrictEqual(user.body, { scope: 'users', error: 'No such user' });
+
+    const post = await request('GET', '/posts/7');
+    assert.strictEqual(post.status, 404);
+    assert.deepStrictEqual(post.body, { scope: 'posts', error: 'No such post' });
+});
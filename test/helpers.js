@@ -0,0 +1,59 @@
+const http = require('http');
+
+// Starts the app on a random port, closed once the test `t` ends; request() resolves with { status, headers, text, body }
+async function start(t, app) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    const request = (method, path, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+        if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+            body = JSON.stringify(body);
+            headers = { 'content-type': 'application/json', ...headers };
+        }
+
+        const req = http.request({ port, method, path, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let json;
+                try { json = JSON.parse(text); } catch { json = undefined; }
+                resolve({ status: res.statusCode, headers: res.headers, text, body: json });
+            });
+        });
+
+        req.on('error', reject);
+        req.end(body);
+    });
+
+    t.after(() => new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+    }));
+
+    return { port, server, request };
+}
+
+// Builds a multipart/form-data body from { name: value } fields and { name, filename, content } files
+function multipartBody(fields = {}, files = [], boundary = 'lieko-test-boundary') {
+    const parts = [];
+
+    for (const [name, value] of Object.entries(fields)) {
+        parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+    }
+    for (const file of files) {
+        parts.push(
+            `--${boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\n` +
+            `Content-Type: ${file.contentType || 'application/octet-stream'}\r\n\r\n${file.content}\r\n`
+        );
+    }
+    parts.push(`--${boundary}--\r\n`);
+
+    return {
+        body: parts.join(''),
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }
+    };
+}
+
+module.exports = { start, multipartBody };
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { Router } = Lieko;
+const { start } = require('./helpers');
+
+test('hooks run in lifecycle order', async (t) => {
+    const app = Lieko();
+    const calls = [];
+    let finished;
+    const done = new Promise(resolve => { finished = resolve; });
+
+    app.addHook('onRequest', () => { calls.push('onRequest'); });
+    app.addHook('preParsing', () => { calls.push('preParsing'); });
+    app.addHook('preHandler', () => { calls.push('preHandler'); });
+    app.addHook('onSend', () => { calls.push('onSend'); });
+    app.addHook('onResponse', () => { calls.push('onResponse'); finished(); });
+    app.get('/', (req, res) => { calls.push('handler'); res.json({ ok: true }); });
+
+    const { request } = await start(t, app);
+
+    await request('GET', '/');
+    await done;
+    assert.deepStrictEqual(calls, ['onRequest', 'preParsing', 'preHandler', 'handler', 'onSend', 'onResponse']);
+});
+
+test('onSend may replace the payload', async (t) => {
+    const app = Lieko();
+    app.addHook('onSend', (req, res, payload) => payload.replace('secret', '******'));
+    app.get('/', (req, res) => res.json({ token: 'secret' }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('GET', '/');
+    assert.deepStrictEqual(res.body, { token: '******' });
+    assert.strictEqual(Number(res.headers['content-length']), res.text.length);
+});
+
+test('an onSend hook returning a non-string answers 500 without taking the server down', async (t) => {
+    t.mock.method(console, 'error', () => { });
+    const app = Lieko();
+    app.addHook('onSend', function wrap(req, res, payload) {
+        return { wrapped: payload };
+    });
+    app.get('/', (req, res) => res.json({ ok: true }));
+    app.group('/custom', (group) => {
+        // this handler's own res.json() goes through the broken hook too
+        group.errorHandler((err, req, res, next) => res.status(500).json({ error: err.message }));
+        group.get('/', (req, res) => res.json({ ok: true }));
+    });
+
+    const { request } = await start(t, app);
+
+    for (const path of ['/', '/custom']) {
+        const res = await request('GET', path);
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual(res.body.error, 'Internal Server Error');
+        assert.match(res.body.message, /onSend hook "wrap" returned object: expected a string, a Buffer or undefined/);
+    }
+});
+
+test('an onSend hook returning a Buffer is accepted', async (t) => {
+    const app = Lieko();
+    app.addHook('onSend', (req, res, payload) => Buffer.from(payload.toUpperCase()));
+    app.get('/', (req, res) => res.send('hello'));
+
+    const { request } = await start(t, app);
+
+    assert.strictEqual((await request('GET', '/')).text, 'HELLO');
+});
+
+test('router and group hooks only run for their routes', async (t) => {
+    const app = Lieko();
+    const seen = [];
+
+    const admin = Router();
+    admin.addHook('onRequest', (req) => { seen.push(`router ${req.url}`); });
+    admin.get('/stats', (req, res) => res.json({ ok: true }));
+    app.use('/admin', admin);
+
+    app.group('/api', (api) => {
+        api.addHook('preHandler', (req) => { seen.push(`group ${req.url}`); });
+        api.get('/items', (req, res) => res.json({ ok: true }));
+    });
+    app.get('/public', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    await request('GET', '/admin/stats');
+    await request('GET', '/api/items');
+    await request('GET', '/public');
+    assert.deepStrictEqual(seen, ['router /admin/stats', 'group /api/items']);
+});
+
+test('a request hook that sends a response ends the request', async (t) => {
+    const app = Lieko();
+    let handled = false;
+    app.addHook('onRequest', (req, res) => {
+        if (!req.headers.authorization) res.status(401).json({ error: 'unauthorized' });
+    });
+    app.get('/', (req, res) => { handled = true; res.json({ ok: true }); });
+
+    const { request } = await start(t, app);
+
+    assert.strictEqual((await request('GET', '/')).status, 401);
+    assert.strictEqual(handled, false);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { Schema, createSchema, validators: v, ValidationError } = Lieko;
+
+const userSchema = createSchema({
+    name: [v.required(), v.string(), v.minLength(2)],
+    age: [v.optional(), v.integer(), v.min(0)],
+    role: [v.default('user'), v.oneOf(['user', 'admin'])],
+    address: [v.optional(), v.object({ city: [v.required(), v.string()] })],
+    tags: [v.optional(), v.array(v.string(), { max: 3 })]
+}, { strict: true });
+
+test('toJSONSchema() exports nested objects given as plain rules', () => {
+    const doc = userSchema.toJSONSchema();
+
+    assert.deepStrictEqual(doc.required, ['name']);
+    assert.strictEqual(doc.additionalProperties, false);
+    assert.deepStrictEqual(doc.properties.address, {
+        type: 'object',
+        properties: { city: { type: 'string' } },
+        required: ['city']
+    });
+    assert.deepStrictEqual(doc.properties.tags, { type: 'array', items: { type: 'string' }, maxItems: 3 });
+});
+
+test('a schema survives a JSON Schema round trip', () => {
+    const imported = Schema.fromJSONSchema(userSchema.toJSONSchema());
+    const valid = { name: 'Ann', age: 30, address: { city: 'Paris' }, tags: ['a'] };
+
+    assert.deepStrictEqual(imported.validate(valid), userSchema.validate(valid));
+    for (const invalid of [{}, { name: 'A' }, { name: 'Ann', role: 'root' }, { name: 'Ann', address: {} }, { name: 'Ann', other: 1 }]) {
+        assert.throws(() => imported.validate(invalid), ValidationError);
+        assert.throws(() => userSchema.validate(invalid), ValidationError);
+    }
+});
+
+test('fromJSONSchema() resolves local $ref, even when used twice', () => {
+    const schema = Schema.fromJSONSchema({
+        type: 'object',
+        properties: {
+            billing: { $ref: '#/$defs/address' },
+            shipping: { $ref: '#/$defs/address' }
+        },
+        required: ['billing'],
+        $defs: {
+            address: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+        }
+    });
+
+    assert.doesNotThrow(() => schema.validate({ billing: { city: 'Paris' }, shipping: { city: 'Lyon' } }));
+    assert.throws(() => schema.validate({ billing: {} }), ValidationError);
+});
+
+test('fromJSONSchema() rejects a recursive $ref', () => {
+    const tree = {
+        $ref: '#/$defs/node',
+        $defs: {
+            node: {
+                type: 'object',
+                properties: { children: { type: 'array', items: { $ref: '#/$defs/node' } } }
+            }
+        }
+    };
+
+    assert.throws(() => Schema.fromJSONSchema(tree), /Recursive \$ref "#\/\$defs\/node" is not supported/);
+});
+
+test('patterns with flags are left out of the export', () => {
+    const doc = createSchema({
+        code: [v.string(), v.pattern(/^[a-z]+$/i)],
+        slug: [v.string(), v.pattern(/^[a-z-]+$/u)]
+    }).toJSONSchema();
+
+    assert.deepStrictEqual(doc.properties.code, { type: 'string' });
+    assert.deepStrictEqual(doc.properties.slug, { type: 'string', pattern: '^[a-z-]+$' });
+});
+
+test('exclusive bounds are imported with catalog messages', () => {
+    const schema = Schema.fromJSONSchema({
+        type: 'object',
+        properties: { rate: { type: 'number', exclusiveMinimum: 1, exclusiveMaximum: 5 } }
+    });
+
+    assert.doesNotThrow(() => schema.validate({ rate: 3 }));
+    assert.throws(() => schema.validate({ rate: 1 }), (error) => {
+        assert.strictEqual(error.errors[0].type, 'exclusiveMin');
+        assert.strictEqual(error.errors[0].message, 'Field must be greater than 1');
+        return true;
+    });
+    assert.throws(() => schema.validate({ rate: 5 }, { locale: 'fr' }), (error) => {
+        assert.strictEqual(error.errors[0].message, 'Ce champ doit être strictement inférieur à 5');
+        return true;
+    });
+    assert.deepStrictEqual(schema.toJSONSchema().properties.rate, { type: 'number', exclusiveMinimum: 1, exclusiveMaximum: 5 });
+});
+
+test('a required nullable property accepts null but not a missing value', () => {
+    const schema = Schema.fromJSONSchema({
+        type: 'object',
+        properties: { deletedAt: { type: ['string', 'null'], format: 'date-time' } },
+        required: ['deletedAt']
+    });
+
+    assert.deepStrictEqual(schema.validate({ deletedAt: null }), { deletedAt: null });
+    assert.doesNotThrow(() => schema.validate({ deletedAt: '2024-01-01T00:00:00Z' }));
+    assert.throws(() => schema.validate({}), ValidationError);
+    assert.throws(() => schema.validate({ deletedAt: 'soon' }), ValidationError);
+    assert.deepStrictEqual(schema.toJSONSchema().properties.deletedAt, { type: ['string', 'null'], format: 'date-time' });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { createSchema, validators: v, validate, addMessages } = Lieko;
+const { start } = require('./helpers');
+
+const schema = createSchema({ username: [v.required(), v.minLength(3)] });
+
+const messageOf = (data, locale) => {
+    try {
+        schema.validate(data, { locale });
+    } catch (error) {
+        return error.errors[0].message;
+    }
+};
+
+test('built-in catalogs translate default messages', () => {
+    assert.strictEqual(messageOf({ username: 'ab' }), 'Field must be at least 3 characters');
+    assert.strictEqual(messageOf({ username: 'ab' }, 'fr'), 'Ce champ doit contenir au moins 3 caractères');
+    assert.strictEqual(messageOf({ username: 'ab' }, 'de'), 'Dieses Feld muss mindestens 3 Zeichen lang sein');
+    assert.strictEqual(messageOf({ username: 'ab' }, 'fr-CA'), 'Ce champ doit contenir au moins 3 caractères');
+    assert.strictEqual(messageOf({ username: 'ab' }, 'xx'), 'Field must be at least 3 characters');
+});
+
+test('addMessages() adds locales, overrides messages and labels fields', () => {
+    addMessages('es', { required: '{label} es obligatorio' });
+    addMessages('fr', { labels: { username: "Nom d'utilisateur" }, minLength: '{label} : au moins {min} caractères' });
+
+    assert.strictEqual(messageOf({}, 'es'), 'username es obligatorio');
+    assert.strictEqual(messageOf({ username: 'ab' }, 'fr'), "Nom d'utilisateur : au moins 3 caractères");
+});
+
+test('messages given to a validator are never translated', () => {
+    const custom = createSchema({ code: [v.length(4, 'Four characters please')] });
+    assert.throws(() => custom.validate({ code: 'abc' }, { locale: 'fr' }), (error) => {
+        assert.strictEqual(error.errors[0].message, 'Four characters please');
+        return true;
+    });
+});
+
+test('validate() negotiates the locale from Accept-Language, then the locale setting', async (t) => {
+    const app = Lieko();
+    app.set('locale', 'de');
+    app.post('/users', validate(createSchema({ email: [v.required(), v.email()] })), (req, res) => res.json(req.body));
+
+    const { request } = await start(t, app);
+
+    const fr = await request('POST', '/users', { body: {}, headers: { 'accept-language': 'fr-FR,fr;q=0.9' } });
+    assert.strictEqual(fr.body.errors[0].message, 'Ce champ est obligatoire');
+
+    const fallback = await request('POST', '/users', { body: {}, headers: { 'accept-language': 'ja' } });
+    assert.strictEqual(fallback.body.errors[0].message, messageOf({}, 'de'));
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const Lieko = require('../lieko-express');
+const { start, multipartBody } = require('./helpers');
+
+test('multipart fields and files are parsed, files are written to disk', async (t) => {
+    const app = Lieko();
+    app.post('/upload', (req, res) => {
+        const file = req.files.doc;
+        res.json({ fields: req.body, name: file.filename, size: file.size, content: fs.readFileSync(file.path, 'utf8') });
+    });
+
+    const { request } = await start(t, app);
+
+    const { body, headers } = multipartBody({ title: 'hello' }, [{ name: 'doc', filename: 'a.txt', content: 'file content' }]);
+    const res = await request('POST', '/upload', { body, headers });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { fields: { title: 'hello' }, name: 'a.txt', size: 12, content: 'file content' });
+});
+
+test('multipart storage results are merged into req.files', async (t) => {
+    const app = Lieko();
+    app.multipart({
+        storage: async (file, stream) => {
+            let length = 0;
+            for await (const chunk of stream) length += chunk.length;
+            return { key: `bucket/${file.filename}`, length };
+        }
+    });
+    app.post('/upload', (req, res) => res.json(req.files.doc));
+
+    const { request } = await start(t, app);
+
+    const { body, headers } = multipartBody({}, [{ name: 'doc', filename: 'b.txt', content: 'abc' }]);
+    const res = await request('POST', '/upload', { body, headers });
+
+    assert.strictEqual(res.body.key, 'bucket/b.txt');
+    assert.strictEqual(res.body.length, 3);
+});
+
+test('a storage that rejects without reading fails the request once', async (t) => {
+    const app = Lieko();
+    let handled = 0;
+    app.multipart({ storage: () => Promise.reject(new Error('storage down')) });
+    app.errorHandler((err, req, res, next) => {
+        handled++;
+        res.status(500).json({ error: err.message });
+    });
+    app.post('/upload', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const { body, headers } = multipartBody({}, [
+        { name: 'a', filename: 'a.txt', content: 'x' },
+        { name: 'b', filename: 'b.txt', content: 'y' }
+    ]);
+    const res = await request('POST', '/upload', { body, headers });
+
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(res.body.error, 'storage down');
+    assert.strictEqual(handled, 1);
+});
+
+test('a storage rejection does not leave a large upload paused', async (t) => {
+    const app = Lieko();
+    app.multipart({
+        storage: () => new Promise((resolve, reject) => setTimeout(() => reject(new Error('quota exceeded')), 10))
+    });
+    app.errorHandler((err, req, res, next) => res.status(500).json({ error: err.message }));
+    app.post('/upload', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const { body, headers } = multipartBody({}, [{ name: 'big', filename: 'big.bin', content: 'x'.repeat(1024 * 1024) }]);
+    const res = await request('POST', '/upload', { body, headers });
+
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(res.body.error, 'quota exceeded');
+});
+
+test('a storage that settles without reading its stream does not stall the upload', async (t) => {
+    const app = Lieko();
+    app.multipart({ storage: async (file) => ({ skipped: file.filename }) });
+    app.post('/upload', (req, res) => res.json(req.files.big));
+
+    const { request } = await start(t, app);
+
+    const { body, headers } = multipartBody({}, [{ name: 'big', filename: 'big.bin', content: 'x'.repeat(1024 * 1024) }]);
+    const res = await request('POST', '/upload', { body, headers });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.skipped, 'big.bin');
+    assert.strictEqual(res.body.size, 1024 * 1024);
+});
+
+test('files of a repeated field keep their order, whatever order the storage settles in', async (t) => {
+    const app = Lieko();
+    app.multipart({
+        storage: async (file, stream) => {
+            for await (const chunk of stream) { }
+            // the first file takes the longest to store
+            await new Promise(resolve => setTimeout(resolve, file.filename === 'a.txt' ? 30 : 0));
+            return { stored: true };
+        }
+    });
+    app.post('/upload', (req, res) => res.json(req.files.docs.map(file => file.filename)));
+
+    const { request } = await start(t, app);
+
+    const { body, headers } = multipartBody({}, [
+        { name: 'docs', filename: 'a.txt', content: 'a' },
+        { name: 'docs', filename: 'b.txt', content: 'b' },
+        { name: 'docs', filename: 'c.txt', content: 'c' }
+    ]);
+    const res = await request('POST', '/upload', { body, headers });
+
+    assert.deepStrictEqual(res.body, ['a.txt', 'b.txt', 'c.txt']);
+});
+
+test('multipart limits answer 413', async (t) => {
+    const app = Lieko();
+    app.multipart({ fileSize: 10 });
+    app.post('/upload', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const { body, headers } = multipartBody({}, [{ name: 'doc', filename: 'c.txt', content: 'more than ten bytes' }]);
+    const res = await request('POST', '/upload', { body, headers });
+
+    assert.strictEqual(res.status, 413);
+});
+
+test('a malformed multipart body answers 400', async (t) => {
+    const app = Lieko();
+    app.post('/upload', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('POST', '/upload', {
+        body: '--lieko-test-boundary\r\nContent-Disposition: form-data; name="a"\r\n\r\nunterminated',
+        headers: { 'content-type': 'multipart/form-data; boundary=lieko-test-boundary' }
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body, {
+        success: false,
+        error: 'Bad Request',
+        message: 'Unexpected end of multipart body'
+    });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { createSchema, validators: v, validate } = Lieko;
+const { start } = require('./helpers');
+
+const productSchema = createSchema({
+    id: [v.required(), v.integer()],
+    name: [v.required(), v.string()]
+});
+
+const buildApp = () => {
+    const app = Lieko();
+
+    app.get('/products/:id(\\d+)', {
+        summary: 'Get a product',
+        tags: ['products'],
+        responses: {
+            200: productSchema,
+            404: { description: 'Product not found' }
+        }
+    }, validate({ query: { fields: [v.optional(), v.string()] } }), function getProduct(req, res) {
+        res.json({ id: 1, name: 'pen' });
+    });
+
+    app.post('/products', validate(productSchema), (req, res) => res.json(req.body));
+    app.get('/internal/metrics', { openapi: false }, (req, res) => res.json({}));
+    app.group('/admin', { tags: ['admin'] }, (admin) => {
+        admin.delete('/cache', (req, res) => res.json({ ok: true }));
+    });
+
+    return app;
+};
+
+test('generateOpenAPI() documents paths, parameters, bodies and responses', () => {
+    const doc = buildApp().generateOpenAPI({ info: { title: 'Shop', version: '1.0.0' } });
+
+    assert.strictEqual(doc.openapi.slice(0, 3), '3.1');
+    assert.deepStrictEqual(doc.info, { title: 'Shop', version: '1.0.0' });
+    assert.deepStrictEqual(Object.keys(doc.paths).sort(), ['/admin/cache', '/products', '/products/{id}']);
+
+    const get = doc.paths['/products/{id}'].get;
+    assert.strictEqual(get.summary, 'Get a product');
+    assert.strictEqual(get.operationId, 'getProduct');
+    assert.deepStrictEqual(get.tags, ['products']);
+
+    const id = get.parameters.find(p => p.in === 'path');
+    assert.strictEqual(id.name, 'id');
+    assert.strictEqual(id.required, true);
+    assert.strictEqual(id.schema.pattern, '^(?:\\d+)$');
+    assert.ok(get.parameters.some(p => p.in === 'query' && p.name === 'fields'));
+
+    assert.deepStrictEqual(get.responses['200'].content['application/json'].schema.required, ['id', 'name']);
+    assert.strictEqual(get.responses['404'].description, 'Product not found');
+
+    const body = doc.paths['/products'].post.requestBody.content['application/json'].schema;
+    assert.deepStrictEqual(Object.keys(body.properties), ['id', 'name']);
+
+    assert.deepStrictEqual(doc.paths['/admin/cache'].delete.tags, ['admin']);
+});
+
+test('app.openapi() serves the document and the documentation page', async (t) => {
+    const app = buildApp();
+    app.openapi({ info: { title: 'Shop', version: '1.0.0' } });
+
+    const { request } = await start(t, app);
+
+    const spec = await request('GET', '/openapi.json');
+    assert.strictEqual(spec.status, 200);
+    assert.ok(spec.body.paths['/products/{id}']);
+    assert.strictEqual(spec.body.paths['/openapi.json'], undefined);
+
+    const docs = await request('GET', '/docs');
+    assert.match(docs.headers['content-type'], /text\/html/);
+    assert.match(docs.text, /\/openapi\.json/);
+});
+
+test('the OpenAPI document includes nested plain-rule objects', () => {
+    const app = Lieko();
+    const userSchema = createSchema({ address: [v.optional(), v.object({ city: [v.required(), v.string()] })] });
+    app.post('/users', validate(userSchema), (req, res) => res.json(req.body));
+
+    const doc = app.generateOpenAPI();
+    const body = doc.paths['/users'].post.requestBody.content['application/json'].schema;
+
+    assert.strictEqual(body.properties.address.properties.city.type, 'string');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { Router } = Lieko;
+const { start } = require('./helpers');
+
+test('param() callbacks run before the route middlewares, app ones first', async (t) => {
+    const app = Lieko();
+    const calls = [];
+
+    app.param('id', (req, res, next, id, name) => {
+        calls.push(`app ${name}=${id}`);
+        next();
+    });
+
+    const posts = Router();
+    posts.param('id', async (req, res, next, id) => {
+        calls.push(`router ${id}`);
+        if (id === '404') return res.status(404).json({ error: 'Post not found' });
+        req.post = { id: Number(id) };
+        next();
+    });
+    posts.get('/:id', (req, res, next) => { calls.push('middleware'); next(); }, (req, res) => res.json(req.post));
+    app.use('/posts', posts);
+
+    app.get('/users/:id', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    assert.deepStrictEqual((await request('GET', '/posts/3')).body, { id: 3 });
+    assert.deepStrictEqual(calls, ['app id=3', 'router 3', 'middleware']);
+
+    calls.length = 0;
+    assert.strictEqual((await request('GET', '/posts/404')).status, 404);
+    assert.deepStrictEqual(calls, ['app id=404', 'router 404']);
+
+    calls.length = 0;
+    await request('GET', '/users/7');
+    assert.deepStrictEqual(calls, ['app id=7']);
+});
+
+test('param() errors go to the error handlers', async (t) => {
+    const app = Lieko();
+    app.param(['id', 'slug'], (req, res, next, value) => {
+        if (value === 'bad') return next(new Error('bad param'));
+        if (value === 'throw') throw new Error('thrown in param');
+        next();
+    });
+    app.get('/items/:slug', (req, res) => res.json({ ok: true }));
+    app.errorHandler((err, req, res, next) => res.status(422).json({ error: err.message }));
+
+    const { request } = await start(t, app);
+
+    assert.strictEqual((await request('GET', '/items/good')).status, 200);
+    assert.deepStrictEqual((await request('GET', '/items/bad')).body, { error: 'bad param' });
+    assert.deepStrictEqual((await request('GET', '/items/throw')).body, { error: 'thrown in param' });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const querystring = require('../lib/querystring');
+const Lieko = require('../lieko-express');
+const { start } = require('./helpers');
+
+test('parse() builds nested objects and arrays', () => {
+    assert.deepStrictEqual(querystring.parse('tag=a&tag=b'), { tag: ['a', 'b'] });
+    assert.deepStrictEqual(querystring.parse('user[address][city]=Paris'), { user: { address: { city: 'Paris' } } });
+    assert.deepStrictEqual(
+        querystring.parse('items[0][name]=pen&items[1][name]=ink'),
+        { items: [{ name: 'pen' }, { name: 'ink' }] }
+    );
+    assert.deepStrictEqual(querystring.parse('ids[]=1&ids[]=2'), { ids: ['1', '2'] });
+    assert.deepStrictEqual(querystring.parse('q=a%20b+c'), { q: 'a b c' });
+});
+
+test('parse() ignores prototype keys', () => {
+    const parsed = querystring.parse('__proto__[admin]=1&constructor[prototype][x]=1&a[__proto__][b]=1&ok=1');
+
+    assert.deepStrictEqual(parsed, { ok: '1' });
+    assert.strictEqual({}.admin, undefined);
+});
+
+test('parse() enforces depth, parameterLimit, arrayLimit and extended', () => {
+    assert.deepStrictEqual(querystring.parse('a[b][c]=1', { depth: 1 }), { a: { b: { '[c]': '1' } } });
+    assert.deepStrictEqual(querystring.parse('a=1&b=2&c=3', { parameterLimit: 2 }), { a: '1', b: '2' });
+    assert.deepStrictEqual(querystring.parse('a[50]=x', { arrayLimit: 20 }), { a: { 50: 'x' } });
+    assert.deepStrictEqual(querystring.parse('a[b]=1', { extended: false }), { 'a[b]': '1' });
+});
+
+test('urlencoded bodies use the same parser', async (t) => {
+    const app = Lieko();
+    app.post('/form', (req, res) => res.json(req.body));
+
+    const { request } = await start(t, app);
+
+    const res = await request('POST', '/form', {
+        body: 'user[name]=Ann&user[tags][]=a&user[tags][]=b',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' }
+    });
+    assert.deepStrictEqual(res.body, { user: { name: 'Ann', tags: ['a', 'b'] } });
+});
+
+test('stringify() is the reverse of parse()', () => {
+    const value = { q: 'a b', user: { tags: ['x', 'y'], name: 'Ann' }, skip: undefined };
+    const str = querystring.stringify(value);
+
+    assert.strictEqual(str, 'q=a%20b&user[tags][0]=x&user[tags][1]=y&user[name]=Ann');
+    assert.deepStrictEqual(querystring.parse(str), { q: 'a b', user: { tags: ['x', 'y'], name: 'Ann' } });
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RouteTree = require('../lib/router');
+const Lieko = require('../lieko-express');
+const { start } = require('./helpers');
+
+test('RouteTree matches static and param segments', () => {
+    const tree = new RouteTree();
+    tree.insert('GET', '/users', 'list');
+    tree.insert('GET', '/users/:id', 'show');
+    tree.insert('GET', '/users/:id/posts/:postId', 'post');
+
+    assert.strictEqual(tree.find('GET', '/users').route, 'list');
+    assert.deepStrictEqual(tree.find('GET', '/users/42').params, { id: '42' });
+    assert.deepStrictEqual(tree.find('GET', '/users/1/posts/2').params, { id: '1', postId: '2' });
+    assert.strictEqual(tree.find('GET', '/users/1/comments'), null);
+    assert.strictEqual(tree.find('POST', '/users'), null);
+});
+
+test('RouteTree keeps registration order between overlapping routes', () => {
+    const tree = new RouteTree();
+    tree.insert('GET', '/files/:name', 'param');
+    tree.insert('GET', '/files/latest', 'static');
+
+    assert.strictEqual(tree.find('GET', '/files/latest').route, 'param');
+});
+
+test('RouteTree falls back to ALL routes and lists methods', () => {
+    const tree = new RouteTree();
+    tree.insert('GET', '/items', 'get');
+    tree.insert('POST', '/items', 'post');
+    tree.insert('ALL', '/any', 'all');
+
+    assert.strictEqual(tree.find('DELETE', '/any').route, 'all');
+    assert.deepStrictEqual(tree.methods('/items').sort(), ['GET', 'POST']);
+});
+
+test('RouteTree only matches a trailing slash when allowed', () => {
+    const tree = new RouteTree();
+    tree.insert('GET', '/strict', 'strict');
+    tree.insert('GET', '/loose', 'loose', true);
+
+    assert.strictEqual(tree.find('GET', '/strict/'), null);
+    assert.strictEqual(tree.find('GET', '/loose/').route, 'loose');
+});
+
+test('app routes requests through the tree', async (t) => {
+    const app = Lieko();
+    app.get('/users/:id', (req, res) => res.json({ id: req.params.id }));
+    app.get('/users/me', (req, res) => res.json({ me: true }));
+
+    const { request } = await start(t, app);
+
+    assert.deepStrictEqual((await request('GET', '/users/7')).body, { id: '7' });
+    assert.deepStrictEqual((await request('GET', '/users/me')).body, { id: 'me' });
+    assert.strictEqual((await request('GET', '/nope')).status, 404);
+});
+
+test('constraints, optional, repeatable and wildcard segments', () => {
+    const tree = new RouteTree();
+    tree.insert('GET', '/users/:id(\\d+)', 'byId');
+    tree.insert('GET', '/users/:name', 'byName');
+    tree.insert('GET', '/:lang(en|fr)?/about', 'about');
+    tree.insert('GET', '/tags/:tags+', 'tags');
+    tree.insert('GET', '/files/*path', 'files');
+
+    assert.strictEqual(tree.find('GET', '/users/42').route, 'byId');
+    assert.strictEqual(tree.find('GET', '/users/bob').route, 'byName');
+    assert.deepStrictEqual(tree.find('GET', '/about').params, {});
+    assert.deepStrictEqual(tree.find('GET', '/fr/about').params, { lang: 'fr' });
+    assert.strictEqual(tree.find('GET', '/de/about'), null);
+    assert.deepStrictEqual(tree.find('GET', '/tags/a/b').params, { tags: ['a', 'b'] });
+    assert.strictEqual(tree.find('GET', '/tags'), null);
+    assert.deepStrictEqual(tree.find('GET', '/files/a/b.txt').params, { path: 'a/b.txt' });
+});
+
+test('a constraint containing a slash is rejected at registration', () => {
+    const app = Lieko();
+
+    assert.throws(() => app.get('/files/:path(.+/.+)', () => { }), /Constraint of ":path" cannot contain "\/"/);
+    assert.throws(() => RouteTree.parsePath('/a/:b(x/y)'), /cannot contain "\/"/);
+});
+
+test('buildPath() fills params and checks constraints', () => {
+    assert.strictEqual(RouteTree.buildPath('/users/:id(\\d+)/posts/:slug?', { id: 3 }), '/users/3/posts');
+    assert.strictEqual(RouteTree.buildPath('/files/*path', { path: 'a/b c' }), '/files/a/b%20c');
+    assert.throws(() => RouteTree.buildPath('/users/:id(\\d+)', { id: 'abc' }));
+});
+
+test('a path registered under other methods answers 405 with an Allow header', async (t) => {
+    const app = Lieko();
+    app.get('/users/:id', (req, res) => res.json({ ok: true }));
+    app.put('/users/:id', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('DELETE', '/users/1');
+    assert.strictEqual(res.status, 405);
+    assert.deepStrictEqual(res.headers.allow.split(', ').sort(), ['GET', 'HEAD', 'OPTIONS', 'PUT']);
+    assert.strictEqual((await request('DELETE', '/posts/1')).status, 404);
+});
+
+test('methodNotAllowed() customizes the 405 body', async (t) => {
+    const app = Lieko();
+    app.post('/items', (req, res) => res.json({ ok: true }));
+    app.methodNotAllowed((req, res) => res.status(405).json({ allowed: req.allowedMethods }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('GET', '/items');
+    assert.strictEqual(res.status, 405);
+    assert.ok(res.body.allowed.includes('POST'));
+});
+
+test('GET routes answer HEAD without a body', async (t) => {
+    const app = Lieko();
+    app.get('/report', (req, res) => res.json({ total: 42 }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('HEAD', '/report');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.text, '');
+    assert.strictEqual(Number(res.headers['content-length']), '{"total":42}'.length);
+});
+
+test('OPTIONS answers 204 with the allowed methods', async (t) => {
+    const app = Lieko();
+    app.get('/users/:id', (req, res) => res.json({ ok: true }));
+    app.patch('/users/:id', (req, res) => res.json({ ok: true }));
+
+    const { request } = await start(t, app);
+
+    const res = await request('OPTIONS', '/users/1');
+    assert.strictEqual(res.status, 204);
+    assert.deepStrictEqual(res.headers.allow.split(', ').sort(), ['GET', 'HEAD', 'OPTIONS', 'PATCH']);
+});
+
+test('autoHead and autoOptions can be turned off', async (t) => {
+    const app = Lieko();
+    app.disable('autoHead');
+    app.disable('autoOptions');
+    app.get('/report', (req, res) => res.json({ total: 42 }));
+
+    const { request } = await start(t, app);
+
+    assert.strictEqual((await request('HEAD', '/report')).status, 405);
+    assert.strictEqual((await request('OPTIONS', '/report')).status, 405);
+});
+
+test('url() builds the path of named routes, prefixes included', () => {
+    const app = Lieko();
+    const noop = (req, res) => res.json({});
+
+    app.get('/posts/:id', { name: 'posts.show' }, noop);
+    app.group('/api', { name: 'api.' }, (api) => {
+        api.get('/users/:id', { name: 'users.show' }, noop);
+    });
+    const comments = Lieko.Router();
+    comments.get('/:id/comments', { name: 'comments.index' }, noop);
+    app.use('/v1/posts', comments);
+
+    assert.strictEqual(app.url('posts.show', { id: 42 }), '/posts/42');
+    assert.strictEqual(app.url('posts.show', { id: 'a b' }, { page: 2, tags: ['x', 'y'] }), '/posts/a%20b?page=2&tags[0]=x&tags[1]=y');
+    assert.strictEqual(app.url('api.users.show', { id: 5 }), '/api/users/5');
+    assert.strictEqual(app.url('comments.index', { id: 9 }), '/v1/posts/9/comments');
+
+    assert.throws(() => app.url('posts.show'), /for route "posts.show"/);
+    assert.throws(() => app.url('unknown'));
+    assert.throws(() => app.get('/other', { name: 'posts.show' }, () => { }));
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { createSchema, validators: v, validate, ValidationError } = Lieko;
+const { start } = require('./helpers');
+
+test('nested objects and arrays report the path of each error', () => {
+    const schema = createSchema({
+        address: [v.required(), v.object({ city: [v.required(), v.string()] })],
+        tags: [v.optional(), v.array(v.string(), { min: 1, max: 2, unique: true })],
+        items: [v.optional(), v.array(v.object({ qty: [v.integer()] }))]
+    });
+    const errorsOf = (data) => {
+        try {
+            schema.validate(data, { allErrors: true });
+            return [];
+        } catch (error) {
+            return error.errors.map(e => [e.field, e.type]);
+        }
+    };
+
+    assert.deepStrictEqual(errorsOf({ address: {}, tags: ['a', 1], items: [{ qty: 'x' }] }), [
+        ['address.city', 'required'],
+        ['tags[1]', 'string'],
+        ['items[0].qty', 'integer']
+    ]);
+    assert.deepStrictEqual(errorsOf({ address: { city: 'P' }, tags: ['a', 'a'] }), [['tags', 'unique']]);
+    assert.deepStrictEqual(errorsOf({ address: { city: 'P' }, tags: [] }), [['tags', 'arrayMin']]);
+    assert.deepStrictEqual(errorsOf({ address: { city: 'P' }, tags: ['a', 'b'] }), []);
+});
+
+test('validate() checks params, query and headers and merges their errors', async (t) => {
+    const app = Lieko();
+    app.get('/users/:id', validate({
+        params: { id: [v.required(), v.integer()] },
+        query: { page: [v.optional(), v.integer(), v.min(1)] },
+        headers: { 'X-Api-Key': [v.required(), v.string()] }
+    }), (req, res) => res.json({ params: req.params, validated: req.validated }));
+
+    const { request } = await start(t, app);
+
+    const ok = await request('GET', '/users/7?page=2', { headers: { 'x-api-key': 'k' } });
+    assert.deepStrictEqual(ok.body.params, { id: 7 });
+    assert.strictEqual(ok.body.validated.headers['X-Api-Key'], 'k');
+
+    const bad = await request('GET', '/users/abc?page=0');
+    assert.strictEqual(bad.status, 400);
+    assert.deepStrictEqual(bad.body.errors.map(e => [e.source, e.field]).sort(), [
+        ['headers', 'X-Api-Key'],
+        ['params', 'id'],
+        ['query', 'page']
+    ]);
+});
+
+test('validate() returns a sanitized copy with transforms and defaults', () => {
+    const schema = createSchema({
+        email: [v.required(), v.trim(), v.toLowerCase(), v.email()],
+        role: [v.default('user'), v.oneOf(['user', 'admin'])]
+    });
+    const input = { email: '  Bob@Example.com ', extra: true };
+
+    assert.deepStrictEqual(schema.validate(input), { email: 'bob@example.com', role: 'user', extra: true });
+    assert.deepStrictEqual(schema.validate(input, { stripUnknown: true }), { email: 'bob@example.com', role: 'user' });
+    assert.strictEqual(input.email, '  Bob@Example.com ');
+});
+
+test('an array stays an array once validated', () => {
+    const schema = createSchema({ note: [v.optional(), v.string()] });
+    const items = [{ id: 1 }, { id: 2 }];
+
+    const value = schema.validate(items);
+    assert.ok(Array.isArray(value));
+    assert.deepStrictEqual([...value], items);
+
+    assert.ok(Array.isArray(schema.validate(items, { stripUnknown: true, strict: true })));
+});
+
+test('nested arrays of objects keep their shape', () => {
+    const schema = createSchema({
+        tags: [v.array(v.object({ name: [v.required(), v.trim()] }))]
+    });
+
+    assert.deepStrictEqual(schema.validate({ tags: [{ name: ' a ' }] }), { tags: [{ name: 'a' }] });
+    assert.throws(() => schema.validate({ tags: [{}] }), ValidationError);
+});
+
+test('validate() replaces an array body with an array', async (t) => {
+    const app = Lieko();
+    app.post('/bulk', validate(createSchema({ note: [v.optional(), v.string()] })), (req, res) => {
+        res.json({ isArray: Array.isArray(req.body), body: req.body });
+    });
+
+    const { request } = await start(t, app);
+
+    const res = await request('POST', '/bulk', { body: [{ id: 1 }, { id: 2 }] });
+    assert.deepStrictEqual(res.body, { isArray: true, body: [{ id: 1 }, { id: 2 }] });
+});
+
+test('async rules run after the cheap checks and receive the signal', async () => {
+    const lookups = [];
+    const schema = createSchema({
+        email: [
+            v.required(),
+            v.email(),
+            v.customAsync(async (email, data, { signal }) => {
+                lookups.push([email, signal]);
+                return email !== 'taken@example.com';
+            }, 'Email already registered')
+        ]
+    });
+
+    assert.ok(schema.isAsync());
+    assert.throws(() => schema.validate({ email: 'a@example.com' }));
+
+    const { signal } = new AbortController();
+    assert.deepStrictEqual(await schema.validateAsync({ email: 'a@example.com' }, { signal }), { email: 'a@example.com' });
+    await assert.rejects(schema.validateAsync({ email: 'taken@example.com' }), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.errors[0].message, 'Email already registered');
+        return true;
+    });
+    await assert.rejects(schema.validateAsync({ email: 'not-an-email' }), ValidationError);
+
+    assert.deepStrictEqual(lookups.map(([email]) => email), ['a@example.com', 'taken@example.com']);
+    assert.strictEqual(lookups[0][1], signal);
+});
+
+test('validate() switches to async mode for async rules', async (t) => {
+    const app = Lieko();
+    const schema = createSchema({
+        name: [v.required(), v.customAsync(async (name) => name !== 'admin', 'Reserved name')]
+    });
+    app.post('/users', validate(schema), (req, res) => res.json(req.body));
+
+    const { request } = await start(t, app);
+
+    assert.deepStrictEqual((await request('POST', '/users', { body: { name: 'ann' } })).body, { name: 'ann' });
+
+    const res = await request('POST', '/users', { body: { name: 'admin' } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.errors[0].message, 'Reserved name');
+});
+
+test('allErrors reports every failing rule of a field', () => {
+    const schema = createSchema({ password: [v.string(), v.minLength(8), v.pattern(/\d/)] });
+    const fieldErrors = (options) => {
+        try {
+            schema.validate({ password: 'abc' }, options);
+            return [];
+        } catch (error) {
+            return error.errors.map(e => e.type);
+        }
+    };
+
+    assert.deepStrictEqual(fieldErrors(), ['minLength']);
+    assert.deepStrictEqual(fieldErrors({ allErrors: true }), ['minLength', 'pattern']);
+});
+
+test('when() applies rules depending on another field', () => {
+    const schema = createSchema({
+        type: [v.oneOf(['person', 'company'])],
+        vatNumber: [
+            v.when('type', type => type === 'company',
+                [v.required(), v.pattern(/^[A-Z]{2}\d+$/)],
+                [v.optional()]
+            )
+        ],
+        address: [v.when('type', 'company', [v.required()])]
+    });
+
+    assert.doesNotThrow(() => schema.validate({ type: 'person' }));
+    assert.doesNotThrow(() => schema.validate({ type: 'company', vatNumber: 'FR123', address: 'Paris' }));
+    assert.throws(() => schema.validate({ type: 'company', address: 'Paris' }), ValidationError);
+    assert.throws(() => schema.validate({ type: 'company', vatNumber: 'FR123' }), ValidationError);
+});
+
+test('extend, pick, omit, merge, partial and required return new schemas', () => {
+    const base = createSchema({
+        name: [v.required(), v.string()],
+        email: [v.required(), v.email()],
+        age: [v.optional(), v.integer()]
+    }, { strict: true });
+
+    const withRole = base.extend({ role: [v.default('user')] });
+    assert.deepStrictEqual(Object.keys(withRole.rules), ['name', 'email', 'age', 'role']);
+    assert.strictEqual(withRole.options.strict, true);
+    assert.deepStrictEqual(Object.keys(base.rules), ['name', 'email', 'age']);
+
+    assert.deepStrictEqual(Object.keys(base.pick('name', 'age').rules), ['name', 'age']);
+    assert.deepStrictEqual(Object.keys(base.omit(['email']).rules), ['name', 'age']);
+    assert.deepStrictEqual(Object.keys(base.merge(createSchema({ bio: [v.string()] })).rules), ['name', 'email', 'age', 'bio']);
+
+    const patch = base.partial();
+    assert.deepStrictEqual(patch.validate({ age: 3 }), { age: 3 });
+    assert.throws(() => patch.validate({ email: 'nope' }), ValidationError);
+
+    assert.throws(() => base.required('age').validate({ name: 'a', email: 'a@b.co' }), ValidationError);
+    assert.throws(() => base.partial('name').validate({}), ValidationError);
+});
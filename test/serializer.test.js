@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lieko = require('../lieko-express');
+const { createSchema, validators: v } = Lieko;
+const { compileSerializer, compileResponses, findResponse } = require('../lib/serializer');
+const { start } = require('./helpers');
+
+const userSchema = createSchema({
+    id: [v.integer()],
+    name: [v.string()],
+    active: [v.boolean()],
+    tags: [v.array(v.string())],
+    address: [v.object({ city: [v.string()] })]
+});
+
+test('the serializer writes only declared fields, in declaration order', () => {
+    const serialize = compileSerializer(userSchema);
+    const json = serialize({
+        password: 'secret',
+        address: { city: 'Paris', zip: '75001' },
+        name: 'Ann "the" Dev',
+        id: 1,
+        active: false,
+        tags: ['a', 'b']
+    });
+
+    assert.strictEqual(json, '{"id":1,"name":"Ann \\"the\\" Dev","active":false,"tags":["a","b"],"address":{"city":"Paris"}}');
+});
+
+test('the serializer matches JSON.stringify on edge values', () => {
+    const serialize = compileSerializer(userSchema);
+    const cases = [
+        { id: NaN, name: 'x' },
+        { id: 2, name: undefined, tags: [undefined, 'a'] },
+        { id: 3, address: null },
+        { id: 4, name: 42, active: 'yes' }
+    ];
+
+    for (const value of cases) {
+        const filtered = JSON.parse(JSON.stringify(value));
+        assert.deepStrictEqual(JSON.parse(serialize(value)), filtered);
+    }
+    assert.strictEqual(serialize([{ id: 1 }, { id: 2, secret: true }]), '[{"id":1},{"id":2}]');
+});
+
+test('the compiled serializer is faster than JSON.stringify on a plain response', () => {
+    const userFields = createSchema({ id: [v.integer()], name: [v.string()], email: [v.email()] });
+    const serialize = compileSerializer(createSchema({ success: [v.boolean()], data: [v.object(userFields)] }));
+    const body = { success: true, data: { id: 1, name: 'Ann', email: 'ann@example.com' } };
+
+    // best of several rounds, after a warm-up, so a slow tick does not decide
+    const measure = (fn) => {
+        let best = Infinity;
+        for (let round = 0; round < 5; round++) {
+            const startedAt = process.hrtime.bigint();
+            for (let i = 0; i < 20000; i++) fn(body);
+            best = Math.min(best, Number(process.hrtime.bigint() - startedAt));
+        }
+        return best;
+    };
+    measure(serialize);
+    measure(JSON.stringify);
+
+    assert.strictEqual(serialize(body), JSON.stringify(body));
+    const compiled = measure(serialize);
+    const native = measure(JSON.stringify);
+    assert.ok(compiled < native, `serializer ${compiled}ns, JSON.stringify ${native}ns`);
+});
+
+test('responses match exact statuses, then ranges, then default', () => {
+    const compiled = compileResponses({
+        200: userSchema,
+        '4XX': { schema: createSchema({ error: [v.string()] }) },
+        default: { schema: { type: 'object', properties: { message: { type: 'string' } } } }
+    });
+
+    assert.strictEqual(findResponse(compiled, 200).schema, userSchema);
+    assert.strictEqual(findResponse(compiled, 404).serialize({ error: 'x', stack: 'y' }), '{"error":"x"}');
+    assert.strictEqual(findResponse(compiled, 500).serialize({ message: 'm', stack: 'y' }), '{"message":"m"}');
+});
+
+test('res.json() uses the route response schema', async (t) => {
+    const app = Lieko();
+    app.set('env', 'production');
+    app.get('/users/1', { responses: { 200: userSchema } }, (req, res) => {
+        res.json({ id: 1, name: 'Ann', passwordHash: 'x' });
+    });
+
+    const { request } = await start(t, app);
+
+    assert.strictEqual((await request('GET', '/users/1')).text, '{"id":1,"name":"Ann"}');
+});
+
+test('development warns once per route and status, only about wrong values', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => { });
+    const app = Lieko();
+    app.set('env', 'development');
+    app.get('/extra', { responses: { 200: userSchema } }, (req, res) => res.json({ id: 1, secret: 'x' }));
+    app.get('/wrong', { responses: { 200: userSchema } }, (req, res) => res.json({ id: 'one' }));
+
+    const { request } = await start(t, app);
+
+    await request('GET', '/extra');
+    assert.strictEqual(warn.mock.callCount(), 0);
+
+    await request('GET', '/wrong');
+    await request('GET', '/wrong');
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /GET \/wrong[\s\S]*- id:/);
+});